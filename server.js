@@ -5,8 +5,16 @@
  *
  * Usage:
  *   node server.js
+ *   node server.js --help
  *   node server.js --port 4001
+ *   node server.js --config "/path/to/config.json"
+ *   node server.js --projects-dir ~/.claude/projects --projects-dir ~/.claude-work/projects
  *   node server.js --path "/path/to/.claude/projects/.../session.jsonl"
+ *   node server.js --pricing "/path/to/pricing.json"
+ *   node server.js --context-limit claude-sonnet-4=1000000
+ *   node server.js export --path "/path/to/session.jsonl" --format csv [--rows turns]
+ *   node server.js export --history [--from 2026-01-01] [--to 2026-03-31] --format csv
+ *   node server.js report [--all] [--from 2026-01-01] [--top 10] [--json] [--watch]
  *
  * Then open: http://localhost:4000
  *
@@ -15,189 +23,2433 @@
 
 'use strict';
 
-const http = require('http');
+const http   = require('http');
+const https  = require('https');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
 const fs   = require('fs');
 const path = require('path');
 const os   = require('os');
 const url  = require('url');
 
 // ─── Config ────────────────────────────────────────────────────────────────
-const ARGS   = process.argv.slice(2);
-const PORT   = (() => { const i = ARGS.indexOf('--port'); return i >= 0 ? parseInt(ARGS[i + 1], 10) : 4000; })();
-const FORCED = (() => { const i = ARGS.indexOf('--path'); return i >= 0 ? ARGS[i + 1] : null; })();
+const VERSION = '1.0.0';
 
-const CLAUDE_PROJECTS_DIR = path.join(os.homedir(), '.claude', 'projects');
+/**
+ * Command-line flags. `key` names the config setting a flag sets, `env` the
+ * environment variable that sets it, and `check` validates and converts the
+ * raw string. Flags without a key are read directly (see `flag()`).
+ */
+const OPTIONS = [
+  { flag: '--config',         arg: '<file>',      env: 'CLAUDE_DASHBOARD_CONFIG', help: 'JSON config file (default: config.json next to server.js)' },
+  { flag: '--port',           arg: '<n>',         env: 'CLAUDE_DASHBOARD_PORT',   key: 'port',     check: 'port', help: 'HTTP port (default 4000)' },
+  { flag: '--host',           arg: '<address>',   env: 'CLAUDE_DASHBOARD_HOST',   key: 'host',     check: 'text', help: 'address to listen on (default 127.0.0.1); other than loopback requires a token' },
+  { flag: '--token',          arg: '<secret>',    env: 'CLAUDE_DASHBOARD_TOKEN',  key: 'token',    check: 'token', help: 'access token (generated when --host is not loopback)' },
+  { flag: '--tls-cert',       arg: '<file>',      env: 'CLAUDE_DASHBOARD_TLS_CERT', key: 'tlsCert', check: 'text', help: 'serve HTTPS with this PEM certificate' },
+  { flag: '--tls-key',        arg: '<file>',      env: 'CLAUDE_DASHBOARD_TLS_KEY',  key: 'tlsKey',  check: 'text', help: 'private key for --tls-cert' },
+  { flag: '--projects-dir',   arg: '<dir>',       env: 'CLAUDE_DASHBOARD_PROJECTS_DIRS', key: 'projectsDirs', check: 'text', repeat: true,
+    help: 'Claude Code projects directory; repeat for several' },
+  { flag: '--path',           arg: '<file>',                                      key: 'path',     check: 'text', help: 'show this session file instead of the most recent one' },
+  { flag: '--page-size',      arg: '<n>',         env: 'CLAUDE_DASHBOARD_PAGE_SIZE', key: 'pageSize', check: 'pageSize', help: 'turns per page in the exchange table (default 10)' },
+  { flag: '--auto-compact-pct', arg: '<n>',       env: 'CLAUDE_DASHBOARD_AUTO_COMPACT_PCT', key: 'autoCompactPct', check: 'percent',
+    help: 'context window % at which the forecast expects auto-compaction, until one is seen (default 80)' },
+  { flag: '--pricing',        arg: '<file>',      help: 'pricing overrides (default: pricing.json next to server.js)' },
+  { flag: '--alerts',         arg: '<file>',      help: 'budget alert thresholds (default: alerts.json next to server.js)' },
+  { flag: '--context-limits', arg: '<file>',      help: 'context window sizes (default: context-limits.json next to server.js)' },
+  { flag: '--context-limit',  arg: '[model=]<n>', repeat: true, check: 'contextLimit', help: 'context window size for every model, or for a model id prefix' },
+  { flag: '--ledger',         arg: '<file>',      env: 'CLAUDE_DASHBOARD_LEDGER', key: 'ledger',   check: 'text', help: 'usage history file (default ~/.claude-token-dashboard/ledger.ndjson)' },
+  { flag: '--no-ledger',      key: 'ledger', value: false, help: "don't record usage history" },
+  { flag: '--webhook',        arg: '<url>',       repeat: true, check: 'url',  help: 'POST every usage event to this URL as JSON; repeatable' },
+  { flag: '--hook-command',   arg: '<command>',   repeat: true, check: 'text', help: 'run this shell command on every usage event (JSON on stdin); repeatable' },
+  { flag: '--format',         arg: 'csv|json',    command: 'export', help: 'output format (default csv)' },
+  { flag: '--rows',           arg: 'exchanges|turns', command: 'export', help: 'one row per API call or per user turn (default exchanges)' },
+  { flag: '--history',        command: 'export',  help: 'export the usage history of every session instead of one session' },
+  { flag: '--from',           arg: '<YYYY-MM-DD>', command: ['export', 'report'], check: 'day', help: 'first day to include' },
+  { flag: '--to',             arg: '<YYYY-MM-DD>', command: ['export', 'report'], check: 'day', help: 'last day to include' },
+  { flag: '--project',        arg: '<name>',      command: ['export', 'report'], help: 'only this project directory' },
+  { flag: '--session',        arg: '<id>',        command: ['export', 'report'], help: 'only this session id' },
+  { flag: '--all',            command: 'report',  help: 'every session instead of the most recent one (implied by --from, --to, --project)' },
+  { flag: '--top',            arg: '<n>',         command: 'report', check: 'count', help: 'most expensive turns to list (default 5)' },
+  { flag: '--json',           command: 'report',  help: 'print the report as JSON' },
+  { flag: '--watch',          command: 'report',  help: 'redraw every few seconds, like top' },
+  { flag: '--interval',       arg: '<seconds>',   command: 'report', check: 'count', help: 'with --watch: seconds between redraws (default 2)' },
+  { flag: '--help',           alias: '-h',        help: 'show this help' },
+  { flag: '--version',        alias: '-v',        help: 'print the version' },
+];
+
+const COMMANDS = {
+  export: 'write a session (or, with --history, the usage history) to stdout as CSV or JSON',
+  report: 'print a usage summary of a session, or of all sessions in a date range',
+};
+
+/** Usage events that webhooks and command hooks can subscribe to. */
+const HOOK_EVENTS = ['exchange', 'compaction', 'contextThreshold', 'budgetExceeded', 'sessionStart', 'sessionIdle'];
+
+/** Settings a config file may contain, with their defaults. */
+const DEFAULT_CONFIG = {
+  port:          4000,
+  host:          '127.0.0.1',
+  token:         null,
+  tlsCert:       null,
+  tlsKey:        null,
+  projectsDirs:  [path.join(process.env.CLAUDE_CONFIG_DIR || path.join(os.homedir(), '.claude'), 'projects')],
+  path:          null,
+  pageSize:      10,
+  autoCompactPct: 80, // forecast's auto-compaction point until the session has auto-compacted once
+  pricing:       {}, // merged over DEFAULT_PRICING; pricing.json / --pricing wins
+  alerts:        {}, // merged over DEFAULT_ALERTS;  alerts.json / --alerts wins
+  contextLimits: {}, // merged over DEFAULT_CONTEXT_LIMITS; context-limits.json / --context-limits wins
+  ledger:        path.join(os.homedir(), '.claude-token-dashboard', 'ledger.ndjson'), // false turns it off
+  hooks:         { webhooks: [], commands: [], idleMinutes: 10 }, // see "Hooks" below
+};
+
+/** Validators: return the converted value, or throw an Error explaining what is wrong. */
+const CHECKS = {
+  text(v) {
+    if (typeof v !== 'string' || !v.trim()) throw new Error('must not be empty');
+    return v;
+  },
+  port(v) {
+    const n = typeof v === 'number' ? v : /^\d+$/.test(String(v)) ? parseInt(v, 10) : NaN;
+    if (!Number.isInteger(n) || n < 0 || n > 65535) throw new Error(`must be a whole number from 0 to 65535, got "${v}"`);
+    return n;
+  },
+  pageSize(v) {
+    const n = typeof v === 'number' ? v : /^\d+$/.test(String(v)) ? parseInt(v, 10) : NaN;
+    if (!Number.isInteger(n) || n < 1 || n > 500) throw new Error(`must be a whole number from 1 to 500, got "${v}"`);
+    return n;
+  },
+  percent(v) {
+    const n = typeof v === 'number' ? v : /^\d+(\.\d+)?$/.test(String(v)) ? parseFloat(v) : NaN;
+    if (!(n > 0 && n <= 100)) throw new Error(`must be a percentage above 0 and up to 100, got "${v}"`);
+    return n;
+  },
+  contextLimit(v) {
+    const m = /^(?:(.+)=)?(\d+)$/.exec(v);
+    if (!m || parseInt(m[2], 10) <= 0) throw new Error(`must be <tokens> or <model prefix>=<tokens>, got "${v}"`);
+    return { model: m[1] || '', tokens: parseInt(m[2], 10) };
+  },
+  token(v) {
+    if (typeof v !== 'string' || v.length < 16) throw new Error('must be at least 16 characters');
+    return v;
+  },
+  url(v) {
+    let u;
+    try { u = new URL(v); } catch (_) { throw new Error(`must be an http:// or https:// URL, got "${v}"`); }
+    if (u.protocol !== 'http:' && u.protocol !== 'https:') throw new Error(`must be an http:// or https:// URL, got "${v}"`);
+    return v;
+  },
+  count(v) {
+    if (!/^\d+$/.test(v) || parseInt(v, 10) < 1) throw new Error(`must be a whole number of at least 1, got "${v}"`);
+    return parseInt(v, 10);
+  },
+  day(v) {
+    // Date rolls 2026-02-30 over to March, so the day must come back unchanged
+    const d = new Date(v + 'T00:00:00Z');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(v) || isNaN(d) || d.toISOString().slice(0, 10) !== v) throw new Error(`must be a date like 2026-01-31, got "${v}"`);
+    return v;
+  },
+};
+
+/** Prints a usage error and exits. */
+function usageError(msg) {
+  console.error(`[dashboard] ${msg}`);
+  console.error('Run "node server.js --help" for usage.');
+  process.exit(1);
+}
+
+/**
+ * Splits argv into the command (the bare word, before or after the flags) and
+ * flag values. Repeatable flags collect an array; boolean flags are `true`.
+ */
+function parseArgs(argv) {
+  const byName = new Map();
+  for (const o of OPTIONS) { byName.set(o.flag, o); if (o.alias) byName.set(o.alias, o); }
+  let command = null;
+  const flags = new Map();
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('-')) {
+      if (command) usageError(`Unexpected argument "${a}"`);
+      if (!COMMANDS[a]) usageError(`Unknown command "${a}" (expected ${Object.keys(COMMANDS).join(', ')})`);
+      command = a;
+      continue;
+    }
+    const [name, inline] = a.includes('=') ? [a.slice(0, a.indexOf('=')), a.slice(a.indexOf('=') + 1)] : [a, null];
+    const o = byName.get(name);
+    if (!o) usageError(`Unknown option ${name}`);
+    let v = true;
+    if (o.arg) {
+      v = inline ?? argv[++i];
+      if (v == null || (inline == null && v.startsWith('--'))) usageError(`${o.flag} needs a value: ${o.flag} ${o.arg}`);
+      if (o.check) try { v = CHECKS[o.check](v); } catch (err) { usageError(`${o.flag} ${err.message}`); }
+    }
+    if (o.repeat) flags.set(o.flag, [...(flags.get(o.flag) || []), v]);
+    else flags.set(o.flag, v);
+  }
+  for (const [f] of flags) {
+    const o = byName.get(f);
+    const only = [].concat(o.command || []);
+    if (only.length && !only.includes(command)) usageError(`${f} only applies to ${only.map(c => `"node server.js ${c}"`).join(' and ')}`);
+  }
+  return { command, flags };
+}
+
+/** Reads the config file and checks every setting in it against DEFAULT_CONFIG. */
+function readConfigFile(file, explicit) {
+  if (!fs.existsSync(file)) {
+    if (explicit) usageError(`Config file not found: ${file}`);
+    return {};
+  }
+  let raw;
+  try { raw = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  catch (err) { usageError(`Cannot read config file ${file}: ${err.message}`); }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) usageError(`Config file ${file} must contain a JSON object`);
+
+  const out = {};
+  for (const [key, v] of Object.entries(raw)) {
+    const bad = msg => usageError(`Config file ${file}: "${key}" ${msg}`);
+    try {
+      switch (key) {
+        case 'port':     out.port = CHECKS.port(v); break;
+        case 'pageSize': out.pageSize = CHECKS.pageSize(v); break;
+        case 'autoCompactPct': out.autoCompactPct = CHECKS.percent(v); break;
+        case 'token':    out.token = v === null ? null : CHECKS.token(v); break;
+        case 'host':
+        case 'path':
+        case 'tlsCert':
+        case 'tlsKey':   out[key] = v === null && key !== 'host' ? null : CHECKS.text(v); break;
+        case 'ledger':   out.ledger = v === false ? false : CHECKS.text(v); break;
+        case 'projectsDirs':
+          out.projectsDirs = [].concat(v).map(CHECKS.text);
+          if (!out.projectsDirs.length) throw new Error('must list at least one directory');
+          break;
+        case 'hooks':    out.hooks = checkHooks(v); break;
+        case 'pricing':
+        case 'alerts':
+        case 'contextLimits':
+          if (!v || typeof v !== 'object' || Array.isArray(v)) throw new Error('must be an object');
+          out[key] = v;
+          break;
+        default:
+          bad(`is not a known setting (expected ${Object.keys(DEFAULT_CONFIG).join(', ')})`);
+      }
+    } catch (err) { bad(err.message); }
+  }
+  return out;
+}
+
+/** Validates the "hooks" config setting; see the Hooks section for what each field does. */
+function checkHooks(v) {
+  if (!v || typeof v !== 'object' || Array.isArray(v)) throw new Error('must be an object');
+  const list = (key, check) => {
+    if (v[key] == null) return [];
+    if (!Array.isArray(v[key])) throw new Error(`${key} must be an array`);
+    return v[key].map((h, i) => {
+      if (!h || typeof h !== 'object') throw new Error(`${key}[${i}] must be an object`);
+      try { check(h); } catch (err) { throw new Error(`${key}[${i}].${err.message}`); }
+      for (const e of h.events || []) {
+        if (!HOOK_EVENTS.includes(e)) throw new Error(`${key}[${i}].events: unknown event "${e}" (expected ${HOOK_EVENTS.join(', ')})`);
+      }
+      for (const n of ['retries', 'backoffMs', 'timeoutMs']) {
+        if (h[n] != null && !(Number.isInteger(h[n]) && h[n] >= 0)) throw new Error(`${key}[${i}].${n} must be a whole number`);
+      }
+      return h;
+    });
+  };
+  const hooks = {
+    webhooks: list('webhooks', h => {
+      try { CHECKS.url(h.url); } catch (err) { throw new Error('url ' + err.message); }
+      if (h.headers != null && (typeof h.headers !== 'object' || Object.values(h.headers).some(x => typeof x !== 'string'))) {
+        throw new Error('headers must be an object of strings');
+      }
+    }),
+    commands: list('commands', h => { try { CHECKS.text(h.command); } catch (err) { throw new Error('command ' + err.message); } }),
+    idleMinutes: v.idleMinutes ?? DEFAULT_CONFIG.hooks.idleMinutes,
+  };
+  if (!(typeof hooks.idleMinutes === 'number' && hooks.idleMinutes > 0)) throw new Error('idleMinutes must be a positive number');
+  return hooks;
+}
+
+/** `~/…` → absolute path, so config files and environment variables can use it. */
+function expandHome(p) {
+  return typeof p === 'string' && /^~(?=$|[\\/])/.test(p) ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+/** Defaults, then the config file, then environment variables, then flags. */
+function loadConfig({ command, flags }) {
+  const configFlag = flags.get('--config') || process.env.CLAUDE_DASHBOARD_CONFIG;
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...readConfigFile(expandHome(configFlag) || path.join(__dirname, 'config.json'), !!configFlag),
+  };
+
+  for (const o of OPTIONS) {
+    if (!o.key || !o.env || process.env[o.env] == null || process.env[o.env] === '') continue;
+    const raw = process.env[o.env];
+    try {
+      config[o.key] = o.repeat ? raw.split(path.delimiter).filter(Boolean).map(CHECKS[o.check])
+                               : CHECKS[o.check](raw);
+    } catch (err) { usageError(`${o.env} ${err.message}`); }
+  }
+
+  for (const o of OPTIONS) {
+    if (!o.key || !flags.has(o.flag)) continue;
+    config[o.key] = 'value' in o ? o.value : flags.get(o.flag);
+  }
+
+  config.projectsDirs = config.projectsDirs.map(d => path.resolve(expandHome(d)));
+  if (config.path)   config.path   = path.resolve(expandHome(config.path));
+  if (config.ledger) config.ledger = path.resolve(expandHome(config.ledger));
+  if (!config.tlsCert !== !config.tlsKey) usageError('TLS needs both --tls-cert and --tls-key');
+  for (const key of ['tlsCert', 'tlsKey']) {
+    if (!config[key]) continue;
+    config[key] = path.resolve(expandHome(config[key]));
+    if (!fs.existsSync(config[key])) usageError(`TLS file not found: ${config[key]}`);
+  }
+  for (const f of ['--pricing', '--alerts', '--context-limits']) {
+    if (flags.has(f) && !fs.existsSync(flags.get(f))) usageError(`${f} file not found: ${flags.get(f)}`);
+  }
+  config.command = command;
+  return config;
+}
+
+function printHelp() {
+  const col = o => `  ${o.alias ? o.alias + ', ' : ''}${o.flag}${o.arg ? ' ' + o.arg : ''}`;
+  const rows = list => list.map(o => col(o).padEnd(36) + o.help + (o.env ? ` [$${o.env}]` : '')).join('\n');
+  console.log(`Claude Code Token Dashboard ${VERSION}
+
+Usage:
+  node server.js [options]
+  node server.js export [options]
+  node server.js report [options]
+
+Commands:
+${Object.entries(COMMANDS).map(([c, h]) => `  ${c.padEnd(34)}${h}`).join('\n')}
+
+Options:
+${rows(OPTIONS.filter(o => !o.command))}
+
+${Object.keys(COMMANDS).map(c => `${c[0].toUpperCase() + c.slice(1)} options:
+${rows(OPTIONS.filter(o => [].concat(o.command || []).includes(c)))}`).join('\n\n')}
+
+Settings are read from the built-in defaults, then the config file, then
+environment variables, then flags; later sources win. The projects directory
+defaults to ~/.claude/projects, or $CLAUDE_CONFIG_DIR/projects when that is
+set. CLAUDE_DASHBOARD_PROJECTS_DIRS takes a "${path.delimiter}"-separated list.`);
+}
+
+const ARGV   = parseArgs(require.main === module ? process.argv.slice(2) : []);
+if (ARGV.flags.has('--help'))    { printHelp(); process.exit(0); }
+if (ARGV.flags.has('--version')) { console.log(VERSION); process.exit(0); }
+const CONFIG = loadConfig(ARGV);
+const ARGS   = ARGV.flags;
+/** Value of a flag, or undefined when it wasn't given. */
+const flag   = name => ARGS.get(name);
+
+const PORT    = CONFIG.port;
+const HOST    = CONFIG.host;
+const FORCED  = CONFIG.path;
+const COMMAND = CONFIG.command; // e.g. "export"
+
+/** Directories holding one sub-directory of session files per project. */
+const PROJECTS_DIRS = CONFIG.projectsDirs;
+
+const PRICING_FILE = flag('--pricing') || path.join(__dirname, 'pricing.json');
+const ALERTS_FILE  = flag('--alerts')  || path.join(__dirname, 'alerts.json');
+/** Usage history; null when turned off. */
+const LEDGER_FILE  = CONFIG.ledger || null;
+const CONTEXT_LIMITS_FILE = flag('--context-limits') || path.join(__dirname, 'context-limits.json');
+
+/** Every `--context-limit [model=]tokens` occurrence; a bare number applies to all models. */
+const CONTEXT_LIMIT_ARGS = Object.fromEntries((flag('--context-limit') || []).map(l => [l.model, l.tokens]));
+
+/** Reads an optional JSON override file; a missing or broken file yields {}. */
+function readOverrideFile(file, what) {
+  if (!file || !fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    console.error(`[dashboard] Ignoring ${what} file ${file}: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * Merges override tables over `base` in order. `check(key, value, merged)`
+ * returns the value to store, or throws an Error explaining what is wrong,
+ * which stops the server like any other invalid setting. `merged` is the
+ * table so far, so entries can be completed from what they override.
+ */
+function mergeOverrides(base, sources, check) {
+  const out = { ...base };
+  for (const [source, table] of sources) {
+    if (!table || typeof table !== 'object' || Array.isArray(table)) usageError(`${source} must contain a JSON object`);
+    for (const [key, v] of Object.entries(table)) {
+      try { out[key] = check(key, v, out); }
+      catch (err) { usageError(`${source}: "${key}" ${err.message}`); }
+    }
+  }
+  return out;
+}
+
+/** A price, threshold or size: a number of at least 0 (or `null` where allowed). */
+function checkAmount(v, { nullable = false, positive = false } = {}) {
+  if (v === null && nullable) return null;
+  if (typeof v !== 'number' || !Number.isFinite(v) || v < 0 || (positive && v === 0)) {
+    throw new Error(`must be a number ${positive ? 'above' : 'of at least'} 0${nullable ? ' or null' : ''}, got ${JSON.stringify(v)}`);
+  }
+  return v;
+}
+
+// ─── Pricing ─────────────────────────────────────────────────────────────────
+/**
+ * USD per million tokens, keyed by model id prefix. The longest matching prefix
+ * wins, so "claude-opus-4-1" beats "claude-opus-4". Entries in pricing.json (or
+ * the file given with --pricing) are merged over these defaults field by field:
+ * rates an entry leaves out come from the entry it overrides, or from the
+ * longest prefix of it that has a price.
+ */
+const DEFAULT_PRICING = {
+  'claude-opus-4':       { input: 5,    cacheWrite: 6.25,  cacheWrite1h: 10,   cacheRead: 0.50, output: 25 },
+  'claude-opus-4-1':     { input: 15,   cacheWrite: 18.75, cacheWrite1h: 30,   cacheRead: 1.50, output: 75 },
+  'claude-opus-4-2025':  { input: 15,   cacheWrite: 18.75, cacheWrite1h: 30,   cacheRead: 1.50, output: 75 },
+  'claude-sonnet-4':     { input: 3,    cacheWrite: 3.75,  cacheWrite1h: 6,    cacheRead: 0.30, output: 15 },
+  'claude-haiku-4':      { input: 1,    cacheWrite: 1.25,  cacheWrite1h: 2,    cacheRead: 0.10, output: 5 },
+  'claude-3-opus':       { input: 15,   cacheWrite: 18.75, cacheWrite1h: 30,   cacheRead: 1.50, output: 75 },
+  'claude-3-7-sonnet':   { input: 3,    cacheWrite: 3.75,  cacheWrite1h: 6,    cacheRead: 0.30, output: 15 },
+  'claude-3-5-sonnet':   { input: 3,    cacheWrite: 3.75,  cacheWrite1h: 6,    cacheRead: 0.30, output: 15 },
+  'claude-3-5-haiku':    { input: 0.80, cacheWrite: 1,     cacheWrite1h: 1.60, cacheRead: 0.08, output: 4 },
+  'claude-3-haiku':      { input: 0.25, cacheWrite: 0.30,  cacheWrite1h: 0.50, cacheRead: 0.03, output: 1.25 },
+};
+
+const PRICING_RATES = ['input', 'cacheWrite', 'cacheWrite1h', 'cacheRead', 'output'];
+
+const PRICING = mergeOverrides(DEFAULT_PRICING, [
+  ['Config setting "pricing"', CONFIG.pricing],
+  [`Pricing file ${PRICING_FILE}`, readOverrideFile(PRICING_FILE, 'pricing')],
+], (model, rates, merged) => {
+  if (!rates || typeof rates !== 'object' || Array.isArray(rates)) throw new Error('must be an object of USD per million tokens');
+  for (const [k, v] of Object.entries(rates)) {
+    if (!PRICING_RATES.includes(k)) throw new Error(`has an unknown rate "${k}" (expected ${PRICING_RATES.join(', ')})`);
+    try { checkAmount(v); } catch (err) { throw new Error(`${k} ${err.message}`); }
+  }
+  const out = { ...(merged[model] || findByPrefix(merged, model)), ...rates };
+  const missing = PRICING_RATES.filter(k => k !== 'cacheWrite1h' && out[k] == null);
+  if (missing.length) throw new Error(`needs ${missing.join(', ')}: no built-in price to take them from`);
+  return out;
+});
+
+/** Value of the longest key in `table` that `model` starts with, or undefined. */
+function findByPrefix(table, model) {
+  if (model == null) return undefined;
+  let best = null;
+  for (const prefix of Object.keys(table)) {
+    if (model.startsWith(prefix) && (best === null || prefix.length > best.length)) best = prefix;
+  }
+  return best === null ? undefined : table[best];
+}
+
+function findPricing(model) {
+  return findByPrefix(PRICING, model) || null;
+}
+
+/**
+ * Estimated USD cost of one API call. Unknown models (e.g. "<synthetic>") cost 0.
+ * `cacheCreated1h` is the part of `cacheCreated` written with the 1-hour TTL.
+ */
+function estimateCost(model, { input, cacheRead, cacheCreated, cacheCreated1h = 0, output }) {
+  const rates = findPricing(model);
+  if (!rates) return 0;
+  const write1h = rates.cacheWrite1h ?? rates.cacheWrite;
+  return (
+    input                           * rates.input +
+    cacheRead                       * rates.cacheRead +
+    (cacheCreated - cacheCreated1h) * rates.cacheWrite +
+    cacheCreated1h                  * write1h +
+    output                          * rates.output
+  ) / 1e6;
+}
+
+// ─── Budgets ─────────────────────────────────────────────────────────────────
+/**
+ * Alert thresholds. Token limits count input + cache + output tokens; cost
+ * limits are in USD. null disables a check. Override in alerts.json (or the
+ * file given with --alerts).
+ */
+const DEFAULT_ALERTS = {
+  sessionTokens: null,
+  sessionCost:   null,
+  dailyTokens:   null, // across all sessions, local calendar day
+  dailyCost:     null,
+  contextPct:    80,   // of the context window, latest main-thread exchange
+};
+
+const ALERTS = mergeOverrides(DEFAULT_ALERTS, [
+  ['Config setting "alerts"', CONFIG.alerts],
+  [`Alerts file ${ALERTS_FILE}`, readOverrideFile(ALERTS_FILE, 'alerts')],
+], (key, v) => {
+  if (!(key in DEFAULT_ALERTS)) throw new Error(`is not a known threshold (expected ${Object.keys(DEFAULT_ALERTS).join(', ')})`);
+  return checkAmount(v, { nullable: true });
+});
+
+// ─── Context windows ─────────────────────────────────────────────────────────
+/**
+ * Context window size in tokens, keyed by model id prefix (longest match wins,
+ * "" matches every model). Entries in context-limits.json (or the file given
+ * with --context-limits) are merged over these; --context-limit flags beat both.
+ */
+const DEFAULT_CONTEXT_LIMITS = {
+  '':                200000,
+  'claude-opus-4':   200000,
+  'claude-sonnet-4': 200000,
+  'claude-haiku-4':  200000,
+  'claude-3':        200000,
+};
+
+const CONTEXT_LIMITS = mergeOverrides(DEFAULT_CONTEXT_LIMITS, [
+  ['Config setting "contextLimits"', CONFIG.contextLimits],
+  [`Context limits file ${CONTEXT_LIMITS_FILE}`, readOverrideFile(CONTEXT_LIMITS_FILE, 'context limits')],
+], (model, v) => checkAmount(v, { positive: true }));
+
+const LONG_CONTEXT_LIMIT = 1000000;
+
+/**
+ * Context window of `model`. Claude Code's settings tag the 1M-token variants
+ * ("claude-sonnet-4-5[1m]"), but session files record the plain model id, so
+ * a session whose context has grown past the table's window (`peakTokens`,
+ * the largest main-thread context seen) is taken to run with 1M tokens.
+ * --context-limit flags are used as given.
+ */
+function contextLimitFor(model, peakTokens = 0) {
+  const fromArgs = findByPrefix(CONTEXT_LIMIT_ARGS, model || '');
+  if (fromArgs) return fromArgs;
+  if (model && /\[1m\]$/i.test(model)) return LONG_CONTEXT_LIMIT;
+  const limit = findByPrefix(CONTEXT_LIMITS, model || '') || DEFAULT_CONTEXT_LIMITS[''];
+  return peakTokens > limit && limit < LONG_CONTEXT_LIMIT ? LONG_CONTEXT_LIMIT : limit;
+}
+
+// ─── SSE client registry ────────────────────────────────────────────────────
+/** @type {Map<string, Set<http.ServerResponse>>} path → clients */
+const clientsByPath = new Map();
+
+/** @type {Set<http.ServerResponse>} every open /events stream */
+const allClients = new Set();
+
+const MAX_COMPARE = 6; // sessions per compare-mode stream
+
+// ─── File watchers ──────────────────────────────────────────────────────────
+/** @type {Map<string, fs.FSWatcher[]>} session path → watchers for it and its subagents */
+const watchers = new Map();
+
+// ─── Incremental parse state ────────────────────────────────────────────────
+/** @type {Map<string, object>} path → parser state (see createParseState) */
+const parseStates = new Map();
+
+/**
+ * Parser states of the background readers (session list, overview, hooks),
+ * kept apart so that reading a growing session never takes the watcher's
+ * delta. Only sessions read again after a change get one.
+ * @type {Map<string, object>}
+ */
+const followStates = new Map();
+
+/** @type {Map<string, object[]>} path → exchanges as of the last broadcast */
+const sentExchanges = new Map();
+
+// ─── Discovery ──────────────────────────────────────────────────────────────
+function discoverSessions() {
+  const sessions = [];
+  for (const dir of PROJECTS_DIRS) discoverIn(dir, sessions);
+  return sessions.sort((a, b) => b.mtimeRaw - a.mtimeRaw);
+}
+
+/** The session list sent to the page: every discovered session with its details. */
+function listSessions(sessions = discoverSessions()) {
+  for (const s of sessions) Object.assign(s, sessionDetails(s));
+  return sessions;
+}
+
+/**
+ * What the session picker shows besides the file: where and on which branch
+ * the session ran, its first prompt, model, tokens and duration. Comes from
+ * the summary cache, so only sessions that changed are read again, from
+ * where they were last read and never through the watcher's parse state.
+ * Only the list sent to the page needs it, not every caller of
+ * discoverSessions.
+ */
+function sessionDetails(session) {
+  const sum = loadSummary(session);
+  return {
+    cwd:         sum?.cwd       || null,
+    gitBranch:   sum?.gitBranch || null,
+    title:       sum?.title     || null,
+    model:       sum?.model     || null,
+    totalTokens: sum?.totals.total     || 0,
+    exchanges:   sum?.totals.exchanges || 0,
+    cost:        roundUSD(sum?.totals.cost || 0),
+    firstTs:     sum?.firstTs || null,
+    lastTs:      sum?.lastTs  || null,
+    durationMs:  sum?.firstTs && sum.lastTs ? Date.parse(sum.lastTs) - Date.parse(sum.firstTs) : null,
+  };
+}
+
+function discoverIn(projectsDir, sessions) {
+  let projects;
+  try { projects = fs.readdirSync(projectsDir); }
+  catch (_) { return; }
+
+  for (const project of projects) {
+    const projectDir = path.join(projectsDir, project);
+    let stat;
+    try { stat = fs.statSync(projectDir); } catch (_) { continue; }
+    if (!stat.isDirectory()) continue;
+
+    let files;
+    try { files = fs.readdirSync(projectDir); } catch (_) { continue; }
+
+    for (const file of files) {
+      // agent-*.jsonl are subagent transcripts; they belong to their parent session
+      if (!file.endsWith('.jsonl') || file.startsWith('agent-')) continue;
+      const filePath = path.join(projectDir, file);
+      try {
+        const fstat = fs.statSync(filePath);
+        sessions.push({
+          path:      filePath,
+          project:   project,
+          sessionId: file.replace('.jsonl', ''),
+          mtime:     new Date(fstat.mtime).toLocaleString(),
+          mtimeRaw:  fstat.mtime.getTime(),
+          size:      fstat.size,
+        });
+      } catch (_) {}
+    }
+  }
+}
+
+// ─── JSONL Parser ────────────────────────────────────────────────────────────
+const SESSION_TITLE_MAX = 200;
+
+/**
+ * Parser state for one JSONL file. Kept between reads so that appended lines
+ * can be parsed on their own (see syncSession).
+ */
+function createParseState() {
+  return {
+    data: {
+      sessionId:  null,
+      slug:       null,
+      model:      null,
+      version:    null,
+      cwd:        null, // working directory the session started in
+      gitBranch:  null, // latest branch seen
+      title:      null, // first prompt, trimmed
+      exchanges:  [],
+      totals:          emptyTotals(),
+      sidechainTotals: emptyTotals(), // share of `totals` spent by subagents
+      compactCount: 0,
+      compactions:  [],
+      contextLimit: contextLimitFor(null), // of the latest main-thread model
+    },
+    pendingUser: null, // most recent real user message
+    lastCall: new Map(), // thread ('main' or agentId) → { ex, compactCount } of its latest API call
+    responses: new Map(), // message id → { index, thread, prev, compactCount } of its exchange
+    cwd:    null,      // latest working directory seen
+    peakContext: 0,    // largest main-thread context seen (see contextLimitFor)
+    offset: 0,         // bytes consumed so far (always at a line boundary)
+    ino:    null,
+  };
+}
+
+function emptyTotals() {
+  return { input: 0, cacheRead: 0, cacheCreated: 0, output: 0, cost: 0 };
+}
+
+function addUsage(totals, ex) {
+  totals.input        += ex.input;
+  totals.cacheRead    += ex.cacheRead;
+  totals.cacheCreated += ex.cacheCreated;
+  totals.output       += ex.output;
+  totals.cost         += ex.cost;
+}
+
+function parseJSONL(filePath) {
+  let raw;
+  try { raw = fs.readFileSync(filePath, { encoding: 'utf8', flag: 'r' }); }
+  catch (err) { console.error(`[dashboard] Cannot read JSONL: ${err.code} – ${filePath}`); return null; }
+
+  const state = createParseState();
+  parseLines(state, raw.split('\n'));
+  return state.data;
+}
+
+function parseLines(state, lines) {
+  for (const line of lines) {
+    if (!line) continue;
+    let rec;
+    try { rec = JSON.parse(line); } catch (_) { continue; }
+    parseRecord(state, rec);
+  }
+}
+
+function parseRecord(state, rec) {
+  const data = state.data;
+  if (rec.cwd)       { state.cwd = rec.cwd; if (!data.cwd) data.cwd = rec.cwd; }
+  if (rec.gitBranch) data.gitBranch = rec.gitBranch;
+
+  // ── Compact boundary event ──────────────────────────────────────────────
+  if (rec.type === 'system' && rec.subtype === 'compact_boundary') {
+    data.compactCount++;
+    if (rec.compactMetadata?.preTokens) {
+      data.compactPreTokens = rec.compactMetadata.preTokens;
+    }
+    data.compactions.push({
+      uuid:      rec.uuid,
+      timestamp: rec.timestamp,
+      trigger:   rec.compactMetadata?.trigger || null, // "auto" | "manual"
+      preTokens: rec.compactMetadata?.preTokens || null,
+    });
+    return;
+  }
+
+  // ── User messages ───────────────────────────────────────────────────────
+  if (rec.type === 'user' && rec.message?.role === 'user') {
+    // Skip pure meta wrappers
+    if (rec.isMeta) return;
+
+    // Prompts sent to a subagent are not human input; the subagent's API calls
+    // are attributed to the main-thread turn that spawned it.
+    if (rec.isSidechain) return;
+
+    const msgContent = rec.message.content;
+
+    // Skip tool result messages — these are tool call responses sent back to Claude,
+    // not actual human input. When ALL content items are tool_result, this is a
+    // mid-turn tool response; grouping it as a new user turn would split a single
+    // user question into multiple rows.
+    if (Array.isArray(msgContent) && msgContent.length > 0 &&
+        msgContent.every(c => c.type === 'tool_result')) return;
+
+    const content = extractTextContent(msgContent);
+
+    // Skip messages with no actual human text
+    if (!content.trim()) return;
+
+    // Skip internal command plumbing
+    if (
+      content.includes('<local-command') ||
+      content.includes('<command-name>') ||
+      content.includes('<local-command-stdout>') ||
+      content.includes('<local-command-caveat>')
+    ) return;
+
+    if (!data.title && !rec.isCompactSummary) data.title = content.trim().replace(/\s+/g, ' ').slice(0, SESSION_TITLE_MAX);
+
+    state.pendingUser = {
+      uuid:            rec.uuid,
+      timestamp:       rec.timestamp,
+      content:         content,
+      isCompactSummary: !!rec.isCompactSummary,
+    };
+    return;
+  }
+
+  // ── Assistant messages ──────────────────────────────────────────────────
+  if (rec.type === 'assistant' && rec.message?.usage) {
+    const msg   = rec.message;
+    const usage = msg.usage;
+
+    if (!data.sessionId && rec.sessionId) data.sessionId = rec.sessionId;
+    if (!data.model     && msg.model)     data.model     = msg.model;
+    if (!data.slug      && rec.slug)      data.slug      = rec.slug;
+    if (!data.version   && rec.version)   data.version   = rec.version;
+
+    // Claude Code writes one record per content block (thinking, text,
+    // tool_use) of a streamed response, each carrying the response's usage.
+    // They are a single API call, so later records merge into the first.
+    const key  = msg.id || rec.requestId || null;
+    const seen = key ? state.responses.get(key) : null;
+    if (seen) { mergeResponse(state, seen, rec); return; }
+
+    const isSidechain = !!rec.isSidechain;
+    const ex = {
+      uuid:        rec.uuid,
+      requestId:   rec.requestId,
+      timestamp:   rec.timestamp,
+      model:       msg.model,
+      ...readUsage(msg),
+      userMessage: isSidechain ? null : state.pendingUser || null,
+      response:    extractTextContent(msg.content),
+      tools:       extractToolUses(msg.content),
+      isSidechain,
+      agentId:     rec.agentId || null,
+      // Where the call ran; a session can change directory or branch midway
+      cwd:         rec.cwd || state.cwd || null,
+      gitBranch:   rec.gitBranch || data.gitBranch || null,
+      serviceTier: usage.service_tier,
+      stopReason:  msg.stop_reason || null, // set once the response is complete
+      cacheMiss:   null,
+    };
+
+    // Each thread (main, or one subagent) has its own cached prefix
+    const thread = isSidechain ? rec.agentId || 'sidechain' : 'main';
+    const prev   = state.lastCall.get(thread);
+    if (prev) ex.cacheMiss = diagnoseCacheMiss(prev.ex, ex, !isSidechain && prev.compactCount !== data.compactCount);
+    state.lastCall.set(thread, { ex, compactCount: data.compactCount });
+    if (key) state.responses.set(key, { index: data.exchanges.length, thread, prev, compactCount: data.compactCount });
+
+    data.exchanges.push(ex);
+
+    addUsage(data.totals, ex);
+    if (isSidechain) {
+      addUsage(data.sidechainTotals, ex);
+    } else {
+      state.pendingUser = null;
+      state.peakContext = Math.max(state.peakContext, ex.totalContext);
+      data.contextLimit = contextLimitFor(msg.model, state.peakContext);
+    }
+    return;
+  }
+}
+
+/** Token counts and estimated cost of an assistant message's `usage`. */
+function readUsage(msg) {
+  const usage = msg.usage;
+  const input        = usage.input_tokens                 || 0;
+  const cacheRead    = usage.cache_read_input_tokens      || 0;
+  const cacheCreated = usage.cache_creation_input_tokens  || 0;
+  const output       = usage.output_tokens                || 0;
+  const cacheCreated1h = usage.cache_creation?.ephemeral_1h_input_tokens || 0;
+  return {
+    input, cacheRead, cacheCreated, output,
+    cost: estimateCost(msg.model, { input, cacheRead, cacheCreated, output, cacheCreated1h }),
+    totalContext: input + cacheRead + cacheCreated,
+    cacheCreated1h,
+  };
+}
+
+/**
+ * Folds another record of an already seen response into its exchange: content
+ * blocks are appended and usage is counted once. A response still being
+ * written may report more output tokens in later records, so the largest
+ * count wins. The exchange is replaced rather than mutated, so live updates
+ * (see firstDifference) resend it.
+ */
+function mergeResponse(state, seen, rec) {
+  const data = state.data;
+  const old  = data.exchanges[seen.index];
+  const msg  = rec.message;
+  const cur  = readUsage(msg);
+  const tokens = {};
+  for (const k of ['input', 'cacheRead', 'cacheCreated', 'output', 'cacheCreated1h']) tokens[k] = Math.max(old[k], cur[k]);
+
+  const ex = {
+    ...old,
+    ...tokens,
+    cost:         estimateCost(old.model, tokens),
+    totalContext: tokens.input + tokens.cacheRead + tokens.cacheCreated,
+    response:     [old.response, extractTextContent(msg.content)].filter(Boolean).join('\n\n'),
+    tools:        [...old.tools, ...extractToolUses(msg.content).filter(t => !old.tools.some(o => o.id === t.id))],
+    stopReason:   msg.stop_reason || old.stopReason,
+  };
+  const { prev } = seen;
+  ex.cacheMiss = prev ? diagnoseCacheMiss(prev.ex, ex, !ex.isSidechain && prev.compactCount !== seen.compactCount) : null;
+
+  data.exchanges[seen.index] = ex;
+  const last = state.lastCall.get(seen.thread);
+  if (last && last.ex === old) last.ex = ex;
+
+  const delta = {};
+  for (const k of ['input', 'cacheRead', 'cacheCreated', 'output', 'cost']) delta[k] = ex[k] - old[k];
+  addUsage(data.totals, delta);
+  if (ex.isSidechain) addUsage(data.sidechainTotals, delta);
+}
+
+// ─── Cache diagnostics ───────────────────────────────────────────────────────
+/** Prompt cache lifetimes: 5 minutes by default, 1 hour for 1h cache writes. */
+const CACHE_TTL_MS    = 5 * 60 * 1000;
+const CACHE_TTL_1H_MS = 60 * 60 * 1000;
+/** Re-writes smaller than the minimum cacheable prompt are not reported. */
+const CACHE_MISS_MIN_TOKENS = 1024;
+
+/**
+ * Checks whether `ex` re-wrote the prefix the previous call in the same thread
+ * had cached: cache writes spike while cache reads drop below half of what was
+ * cached before. Returns null for a normal call, otherwise the likely cause
+ * and the tokens and cost wasted by writing instead of reading them.
+ *
+ * @param {object}  prev       previous API call in the thread
+ * @param {object}  ex         this API call
+ * @param {boolean} compacted  a compaction happened between the two
+ * @returns {{ cause: 'compaction'|'model'|'ttl'|'unknown', gapMs: number|null,
+ *             prevModel: string, wastedTokens: number, wastedCost: number } | null}
+ */
+function diagnoseCacheMiss(prev, ex, compacted) {
+  const cachedBefore = prev.cacheRead + prev.cacheCreated;
+  const wastedTokens = Math.min(ex.cacheCreated, cachedBefore - ex.cacheRead);
+  if (wastedTokens < CACHE_MISS_MIN_TOKENS || ex.cacheRead >= cachedBefore / 2) return null;
+
+  const gapMs = prev.timestamp && ex.timestamp ? Date.parse(ex.timestamp) - Date.parse(prev.timestamp) : null;
+  const ttl   = prev.cacheCreated1h ? CACHE_TTL_1H_MS : CACHE_TTL_MS;
+  const cause = compacted                   ? 'compaction'
+              : prev.model !== ex.model     ? 'model'
+              : gapMs !== null && gapMs > ttl ? 'ttl'
+              : 'unknown'; // e.g. edited system prompt, CLAUDE.md or tool list
+
+  const none = { input: 0, cacheRead: 0, cacheCreated: 0, output: 0 };
+  const wastedCost = estimateCost(ex.model, { ...none, cacheCreated: wastedTokens })
+                   - estimateCost(ex.model, { ...none, cacheRead: wastedTokens });
+  return { cause, gapMs, prevModel: prev.model, wastedTokens, wastedCost };
+}
+
+/**
+ * Brings the cached parse of `filePath` up to date by parsing only the bytes
+ * appended since the last call. A partial trailing line is left for the next
+ * read. A truncated or replaced file (smaller size or new inode) is re-parsed
+ * from the start. `states` is the map the parse is kept in.
+ *
+ * @returns {{ data: object, reset: boolean, changed: boolean } | null}
+ */
+function syncSession(filePath, states = parseStates) {
+  let stat;
+  try { stat = fs.statSync(filePath); }
+  catch (err) {
+    console.error(`[dashboard] Cannot read JSONL: ${err.code} – ${filePath}`);
+    states.delete(filePath);
+    return null;
+  }
+
+  let state = states.get(filePath);
+  const reset = !state || stat.ino !== state.ino || stat.size < state.offset;
+  if (reset) {
+    state = createParseState();
+    state.ino = stat.ino;
+    states.set(filePath, state);
+  }
+  if (stat.size === state.offset) return { data: state.data, reset, changed: reset };
+
+  let buf;
+  try {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      buf = Buffer.alloc(stat.size - state.offset);
+      const n = fs.readSync(fd, buf, 0, buf.length, state.offset);
+      buf = buf.subarray(0, n);
+    } finally { fs.closeSync(fd); }
+  } catch (err) {
+    console.error(`[dashboard] Cannot read JSONL: ${err.code} – ${filePath}`);
+    states.delete(filePath);
+    return null;
+  }
+
+  // Only consume up to the last newline, unless the tail is already a complete
+  // record (a file that simply doesn't end with a newline).
+  let consumed = buf.lastIndexOf(0x0a) + 1;
+  const lines = buf.subarray(0, consumed).toString('utf8').split('\n');
+  if (consumed < buf.length) {
+    const tail = buf.subarray(consumed).toString('utf8');
+    try { JSON.parse(tail); lines.push(tail); consumed = buf.length; } catch (_) {}
+  }
+
+  parseLines(state, lines);
+  state.offset += consumed;
+  return { data: state.data, reset, changed: reset || consumed > 0 };
+}
+
+// ─── Subagent transcripts ────────────────────────────────────────────────────
+/** @type {Map<string, string|null>} agent transcript path → parent sessionId */
+const agentParents = new Map();
+
+/** Directory where newer Claude Code versions write a session's subagent transcripts. */
+function subagentDir(sessionPath) {
+  return path.join(path.dirname(sessionPath), path.basename(sessionPath, '.jsonl'), 'subagents');
+}
+
+function readParentSessionId(agentPath) {
+  if (agentParents.has(agentPath)) return agentParents.get(agentPath);
+  let parent = null;
+  try {
+    const fd = fs.openSync(agentPath, 'r');
+    try {
+      const buf = Buffer.alloc(16384);
+      const n = fs.readSync(fd, buf, 0, buf.length, 0);
+      const first = buf.subarray(0, n).toString('utf8').split('\n')[0];
+      parent = JSON.parse(first).sessionId || null;
+    } finally { fs.closeSync(fd); }
+  } catch (_) {
+    return null; // possibly half-written; try again next time
+  }
+  agentParents.set(agentPath, parent);
+  return parent;
+}
+
+/**
+ * Subagent transcripts of a session: `<sessionId>/subagents/*.jsonl`, or
+ * `agent-*.jsonl` files beside the session whose records carry its sessionId.
+ */
+function findSubagentFiles(sessionPath) {
+  const sessionId = path.basename(sessionPath, '.jsonl');
+  const files = [];
+
+  const dir = subagentDir(sessionPath);
+  try {
+    for (const f of fs.readdirSync(dir)) if (f.endsWith('.jsonl')) files.push(path.join(dir, f));
+  } catch (_) {}
+
+  const projectDir = path.dirname(sessionPath);
+  try {
+    for (const f of fs.readdirSync(projectDir)) {
+      if (!f.startsWith('agent-') || !f.endsWith('.jsonl')) continue;
+      const p = path.join(projectDir, f);
+      if (readParentSessionId(p) === sessionId) files.push(p);
+    }
+  } catch (_) {}
+
+  return files;
+}
+
+/** Merges already-ordered exchange lists by timestamp, keeping each list's own order. */
+function mergeByTimestamp(lists) {
+  const idx = lists.map(() => 0);
+  const out = [];
+  for (;;) {
+    let pick = -1;
+    for (let i = 0; i < lists.length; i++) {
+      const ex = lists[i][idx[i]];
+      if (!ex) continue;
+      if (pick < 0 || (ex.timestamp || '') < (lists[pick][idx[pick]].timestamp || '')) pick = i;
+    }
+    if (pick < 0) return out;
+    out.push(lists[pick][idx[pick]++]);
+  }
+}
+
+/**
+ * Parses a session together with its subagent transcripts. With `live` the
+ * incremental parser state is used (and kept); only the file watcher does
+ * that, since whoever advances the state takes the change from the watcher's
+ * next delta. Otherwise files are read once, or with `reuse` the watcher's
+ * parse is taken when it has already caught up with the file. With `follow`
+ * the file is parsed incrementally in `followStates` instead of read whole.
+ *
+ * @returns {{ data: object, reset: boolean, changed: boolean } | null}
+ */
+function loadSession(filePath, { live = true, reuse = false, follow = false } = {}) {
+  const read = p => {
+    if (live) return syncSession(p);
+    const state = reuse ? parseStates.get(p) : null;
+    if (state) {
+      let stat = null;
+      try { stat = fs.statSync(p); } catch (_) {}
+      if (stat && stat.ino === state.ino && stat.size === state.offset) return { data: state.data, reset: false, changed: false };
+    }
+    if (follow || followStates.has(p)) return syncSession(p, followStates);
+    const data = parseJSONL(p);
+    return data && { data, reset: true, changed: true };
+  };
+
+  const main = read(filePath);
+  if (!main) return null;
+  const agents = findSubagentFiles(filePath).map(read).filter(Boolean);
+  if (!agents.length) return main;
+
+  const data = {
+    ...main.data,
+    exchanges:       mergeByTimestamp([main.data.exchanges, ...agents.map(a => a.data.exchanges)]),
+    totals:          { ...main.data.totals },
+    sidechainTotals: { ...main.data.sidechainTotals },
+    agentCount:      agents.length,
+  };
+  for (const a of agents) {
+    addUsage(data.totals, a.data.totals);
+    addUsage(data.sidechainTotals, a.data.sidechainTotals);
+  }
+  return { data, reset: main.reset, changed: main.changed || agents.some(a => a.changed) };
+}
+
+/** Everything in a parsed session except the exchanges array. */
+function sessionMeta(data) {
+  const { exchanges, ...meta } = data;
+  return meta;
+}
+
+/** Index of the first exchange that differs between two snapshots. */
+function firstDifference(prev, next) {
+  const n = Math.min(prev.length, next.length);
+  let i = 0;
+  while (i < n && prev[i] === next[i]) i++;
+  return i;
+}
+
+function extractToolUses(content) {
+  if (!Array.isArray(content)) return [];
+  return content
+    .filter(c => c.type === 'tool_use')
+    .map(c => ({ id: c.id, name: c.name }));
+}
+
+function extractTextContent(content) {
+  if (!content) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(c => c.type === 'text')
+      .map(c => c.text || '')
+      .join('');
+  }
+  return '';
+}
+
+// ─── Usage ledger ────────────────────────────────────────────────────────────
+/**
+ * Append-only NDJSON history with one line per API call, so usage outlives the
+ * session files Claude Code cleans up. Calls are keyed by their requestId (or
+ * uuid). A streamed response can be seen before its last record arrives, so a
+ * call whose usage changed is written again and the last line for a key wins
+ * on load; identical repeats, e.g. from two dashboards sharing the file, are
+ * not written at all.
+ */
+let ledger = null; // { keys: Map<string, number> (key → index in entries), entries: object[] } once read
+
+function loadLedger() {
+  if (ledger) return ledger;
+  ledger = { keys: new Map(), entries: [] };
+  if (!LEDGER_FILE) return ledger;
+  let raw = '';
+  try { raw = fs.readFileSync(LEDGER_FILE, 'utf8'); }
+  catch (err) { if (err.code !== 'ENOENT') console.error(`[dashboard] Cannot read ledger ${LEDGER_FILE}: ${err.code}`); }
+  for (const line of raw.split('\n')) {
+    if (!line) continue;
+    let e;
+    try { e = JSON.parse(line); } catch (_) { continue; } // torn write
+    if (!e.key) continue;
+    if (ledger.keys.has(e.key)) ledger.entries[ledger.keys.get(e.key)] = e;
+    else ledger.keys.set(e.key, ledger.entries.push(e) - 1);
+  }
+  return ledger;
+}
+
+/** Fields that change while a streamed response is still being written. */
+const LEDGER_USAGE_FIELDS = ['input', 'cacheRead', 'cacheCreated', 'output', 'cost'];
+
+/**
+ * Appends the API calls of a parsed session that are new to the ledger or
+ * whose usage grew. A response still being streamed is left until it has a
+ * stop reason or a later call follows it, so it is written once, not once per
+ * record.
+ */
+function ingestSession(filePath, data) {
+  if (!LEDGER_FILE) return 0;
+  const l = loadLedger();
+  const fresh = [];
+  const last  = data.exchanges[data.exchanges.length - 1];
+  for (const ex of data.exchanges) {
+    const key = ex.requestId || ex.uuid;
+    if (!key || (ex === last && !ex.stopReason)) continue;
+    const known = l.keys.has(key) ? l.entries[l.keys.get(key)] : null;
+    if (known && LEDGER_USAGE_FIELDS.every(f => known[f] === (f === 'cost' ? roundUSD(ex.cost) : ex[f]))) continue;
+    fresh.push({
+      key,
+      sessionId:    data.sessionId || path.basename(filePath, '.jsonl'),
+      project:      path.basename(path.dirname(filePath)),
+      path:         filePath,
+      timestamp:    ex.timestamp,
+      model:        ex.model || null,
+      isSidechain:  !!ex.isSidechain,
+      agentId:      ex.agentId || null,
+      cwd:          ex.cwd || null,
+      gitBranch:    ex.gitBranch || null,
+      input:        ex.input,
+      cacheRead:    ex.cacheRead,
+      cacheCreated: ex.cacheCreated,
+      output:       ex.output,
+      cost:         roundUSD(ex.cost),
+    });
+  }
+  if (!fresh.length) return 0;
+  try {
+    fs.mkdirSync(path.dirname(LEDGER_FILE), { recursive: true });
+    fs.appendFileSync(LEDGER_FILE, fresh.map(e => JSON.stringify(e)).join('\n') + '\n');
+  } catch (err) {
+    console.error(`[dashboard] Cannot write ledger ${LEDGER_FILE}: ${err.code || err.message}`);
+    return 0;
+  }
+  for (const e of fresh) {
+    if (l.keys.has(e.key)) l.entries[l.keys.get(e.key)] = e;
+    else l.keys.set(e.key, l.entries.push(e) - 1);
+  }
+  return fresh.length;
+}
+
+/** Records every discovered session; summaries are cached, so this is cheap when nothing changed. */
+function ingestAll() {
+  if (!LEDGER_FILE) return;
+  for (const session of discoverSessions()) loadSummary(session);
+}
+
+const LEDGER_COLUMNS = [
+  'timestamp', 'sessionId', 'project', 'model', 'isSidechain', 'agentId', 'requestId',
+  'input', 'cacheRead', 'cacheCreated', 'output', 'total', 'cost', 'cwd', 'gitBranch',
+];
+
+/** Ledger entries as export rows, oldest first. `from` / `to` are inclusive YYYY-MM-DD days. */
+function historyRows({ from = null, to = null, project = null, session = null } = {}) {
+  return loadLedger().entries
+    .filter(e => {
+      const day = dayKey(e.timestamp);
+      if (from && (!day || day < from)) return false;
+      if (to   && (!day || day > to))   return false;
+      if (project && e.project !== project)   return false;
+      if (session && e.sessionId !== session) return false;
+      return true;
+    })
+    .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''))
+    .map(e => ({
+      timestamp: e.timestamp, sessionId: e.sessionId, project: e.project,
+      cwd: e.cwd || null, gitBranch: e.gitBranch || null, model: e.model,
+      isSidechain: e.isSidechain, agentId: e.agentId, requestId: e.key,
+      input: e.input, cacheRead: e.cacheRead, cacheCreated: e.cacheCreated, output: e.output,
+      total: e.input + e.cacheRead + e.cacheCreated + e.output, cost: e.cost,
+    }));
+}
+
+function renderHistory(filter, format = 'json') {
+  const rows = historyRows(filter);
+  if (format === 'csv') return { body: toCSV(rows, LEDGER_COLUMNS), contentType: 'text/csv; charset=utf-8' };
+  const totals = emptyBucket();
+  for (const r of rows) addToBucket(totals, r);
+  totals.cost = roundUSD(totals.cost);
+  return { body: JSON.stringify({ ledger: LEDGER_FILE, ...filter, totals, exchanges: rows }, null, 2), contentType: 'application/json' };
+}
+
+// ─── Overview (all sessions) ─────────────────────────────────────────────────
+/** @type {Map<string, { mtimeRaw: number, size: number, summary: object }>} */
+const summaryCache = new Map();
+
+function emptyBucket() {
+  return { input: 0, cacheRead: 0, cacheCreated: 0, output: 0, cost: 0, total: 0, exchanges: 0 };
+}
+
+function addToBucket(bucket, ex) {
+  bucket.input        += ex.input;
+  bucket.cacheRead    += ex.cacheRead;
+  bucket.cacheCreated += ex.cacheCreated;
+  bucket.output       += ex.output;
+  bucket.cost         += ex.cost;
+  bucket.total        += ex.input + ex.cacheRead + ex.cacheCreated + ex.output;
+  bucket.exchanges    += ex.exchanges ?? 1;
+  return bucket;
+}
+
+/** Local calendar day (YYYY-MM-DD) of an ISO timestamp. */
+function dayKey(ts) {
+  const d = new Date(ts);
+  if (isNaN(d)) return null;
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Per-session token totals bucketed by day and model. Cached by file mtime and
+ * size so repeated overview requests only re-parse sessions that changed, and
+ * a session that grew is parsed on from where it was last read.
+ */
+function loadSummary(session) {
+  const cached = summaryCache.get(session.path);
+  if (cached && cached.mtimeRaw === session.mtimeRaw && cached.size === session.size) return cached.summary;
+
+  // Reuse the watcher's parse when it is up to date instead of reading the file again
+  const data = loadSession(session.path, { live: false, reuse: true, follow: !!cached })?.data;
+  if (!data) return null;
+
+  const summary = {
+    path:      session.path,
+    project:   session.project,
+    sessionId: session.sessionId,
+    cwd:       data.cwd,
+    gitBranch: data.gitBranch,
+    title:     data.title,
+    model:     data.model,
+    firstTs:   data.exchanges[0]?.timestamp || null,
+    lastTs:    data.exchanges[data.exchanges.length - 1]?.timestamp || null,
+    totals:    emptyBucket(),
+    byDay:     {},
+    byModel:   {},
+    byBranch:  {}, // "cwd\tbranch" → { cwd, gitBranch, byDay }
+    calls:     [], // [t, input, cacheRead, cacheCreated, output, cost] per API call, for usage windows
+    context:   null, // latest main-thread exchange: { tokens, limit, model }
+    compactions: data.compactCount,
+  };
+  const latest = data.exchanges.findLast(ex => !ex.isSidechain);
+  if (latest) summary.context = { tokens: latest.totalContext, limit: data.contextLimit, model: latest.model };
+  for (const ex of data.exchanges) {
+    addToBucket(summary.totals, ex);
+    const day = dayKey(ex.timestamp);
+    if (day) addToBucket(summary.byDay[day] ||= emptyBucket(), ex);
+    addToBucket(summary.byModel[ex.model || 'unknown'] ||= emptyBucket(), ex);
+    const branch = summary.byBranch[`${ex.cwd || ''}\t${ex.gitBranch || ''}`] ||= { cwd: ex.cwd, gitBranch: ex.gitBranch, byDay: {} };
+    if (day) addToBucket(branch.byDay[day] ||= emptyBucket(), ex);
+    const t = Date.parse(ex.timestamp);
+    if (!isNaN(t)) {
+      summary.calls.push([t, ex.input, ex.cacheRead, ex.cacheCreated, ex.output, ex.cost]);
+    }
+  }
+
+  summaryCache.set(session.path, { mtimeRaw: session.mtimeRaw, size: session.size, summary });
+  ingestSession(session.path, data);
+  return summary;
+}
+
+/** Token usage across every discovered session, grouped by day, project and model. */
+function buildOverview({ top = 10 } = {}) {
+  const sessions  = discoverSessions();
+  const totals    = emptyBucket();
+  const byDay     = {};
+  const byProject = {};
+  const byModel   = {};
+  const summaries = [];
+
+  const add = sum => {
+    summaries.push(sum);
+    addToBucket(totals, sum.totals);
+    const proj = byProject[sum.project] ||= { ...emptyBucket(), sessions: 0 };
+    addToBucket(proj, sum.totals);
+    proj.sessions++;
+    for (const [day, b] of Object.entries(sum.byDay))     addToBucket(byDay[day] ||= emptyBucket(), b);
+    for (const [model, b] of Object.entries(sum.byModel)) addToBucket(byModel[model] ||= emptyBucket(), b);
+  };
+
+  for (const session of sessions) {
+    const sum = loadSummary(session);
+    if (sum && sum.totals.exchanges) add(sum);
+  }
+
+  // Drop cached summaries and parses of sessions that no longer exist
+  const live = new Set(sessions.map(s => s.path));
+  for (const p of summaryCache.keys()) if (!live.has(p)) summaryCache.delete(p);
+  for (const p of followStates.keys()) if (!live.has(p) && !fs.existsSync(p)) followStates.delete(p);
+
+  // Sessions whose files are gone are still in the ledger
+  const archived = new Map();
+  for (const e of loadLedger().entries) {
+    if (live.has(e.path)) continue;
+    let sum = archived.get(e.path);
+    if (!sum) {
+      sum = { path: e.path, project: e.project, sessionId: e.sessionId, model: e.model, archived: true,
+              firstTs: e.timestamp, lastTs: e.timestamp, totals: emptyBucket(), byDay: {}, byModel: {} };
+      archived.set(e.path, sum);
+    }
+    if (e.timestamp < sum.firstTs) sum.firstTs = e.timestamp;
+    if (e.timestamp > sum.lastTs)  sum.lastTs  = e.timestamp;
+    addToBucket(sum.totals, e);
+    const day = dayKey(e.timestamp);
+    if (day) addToBucket(sum.byDay[day] ||= emptyBucket(), e);
+    addToBucket(sum.byModel[e.model || 'unknown'] ||= emptyBucket(), e);
+  }
+  for (const sum of archived.values()) add(sum);
+
+  const ranked = obj => Object.entries(obj)
+    .map(([key, b]) => ({ key, ...b }))
+    .sort((a, b) => b.total - a.total);
+
+  return {
+    generatedAt: new Date().toISOString(),
+    sessions:    summaries.length,
+    archivedSessions: archived.size,
+    totals,
+    byDay:       Object.entries(byDay).map(([day, b]) => ({ day, ...b })).sort((a, b) => a.day.localeCompare(b.day)),
+    byProject:   ranked(byProject).map(({ key, ...b }) => ({ project: key, ...b })),
+    byModel:     ranked(byModel).map(({ key, ...b }) => ({ model: key, ...b })),
+    topSessions: summaries
+      .sort((a, b) => b.totals.total - a.totals.total)
+      .slice(0, top)
+      .map(s => ({
+        path: s.path, project: s.project, sessionId: s.sessionId, model: s.model,
+        firstTs: s.firstTs, lastTs: s.lastTs, archived: !!s.archived, ...s.totals,
+      })),
+  };
+}
+
+// ─── Attribution (repository & branch) ───────────────────────────────────────
+/**
+ * The git repository a working directory belongs to: its nearest ancestor
+ * with a `.git` entry. Directories outside a repository (or no longer on
+ * disk) stand for themselves. `cache` holds the answers for one report, so
+ * a repository created or removed later is seen by the next one.
+ */
+function repoRoot(cwd, cache = new Map()) {
+  if (cache.has(cwd)) return cache.get(cwd);
+  let root = cwd;
+  for (let dir = cwd; ; dir = path.dirname(dir)) {
+    if (fs.existsSync(path.join(dir, '.git'))) { root = dir; break; }
+    if (path.dirname(dir) === dir) break;
+  }
+  cache.set(cwd, root);
+  return root;
+}
+
+const ATTRIBUTION_COLUMNS = [
+  'repo', 'branch', 'sessions', 'exchanges', 'firstDay', 'lastDay',
+  'input', 'cacheRead', 'cacheCreated', 'output', 'total', 'cost',
+];
+
+/**
+ * Usage rolled up by repository and git branch across every session, plus the
+ * ledger for sessions whose files are gone. Each API call counts toward the
+ * branch it ran on, so a session that switched branches is split between
+ * them. `from` and `to` are inclusive YYYY-MM-DD days.
+ */
+function buildAttribution({ from = null, to = null } = {}) {
+  const totals = emptyBucket();
+  const repos  = new Map();
+  const roots  = new Map();
+
+  const add = (sessionPath, cwd, branch, day, bucket) => {
+    if (!day || (from && day < from) || (to && day > to)) return;
+    const root = cwd ? repoRoot(cwd, roots) : null;
+    let r = repos.get(root);
+    if (!r) repos.set(root, r = { repo: root, ...emptyBucket(), sessions: new Set(), branches: new Map() });
+    let b = r.branches.get(branch);
+    if (!b) r.branches.set(branch, b = { branch, ...emptyBucket(), sessions: new Set(), firstDay: day, lastDay: day });
+    for (const target of [totals, r, b]) addToBucket(target, bucket);
+    r.sessions.add(sessionPath);
+    b.sessions.add(sessionPath);
+    if (day < b.firstDay) b.firstDay = day;
+    if (day > b.lastDay)  b.lastDay  = day;
+  };
+
+  const sessions = discoverSessions();
+  for (const session of sessions) {
+    const sum = loadSummary(session);
+    for (const br of Object.values(sum?.byBranch || {})) {
+      for (const [day, bucket] of Object.entries(br.byDay)) add(session.path, br.cwd, br.gitBranch, day, bucket);
+    }
+  }
+  const live = new Set(sessions.map(s => s.path));
+  for (const e of loadLedger().entries) {
+    if (!live.has(e.path)) add(e.path, e.cwd, e.gitBranch, dayKey(e.timestamp), e);
+  }
+
+  const byTotal = (a, b) => b.total - a.total;
+  const rollup  = ({ sessions, ...b }) => ({ ...b, sessions: sessions.size, cost: roundUSD(b.cost) });
+  totals.cost = roundUSD(totals.cost);
+  return {
+    generatedAt: new Date().toISOString(),
+    from, to,
+    totals,
+    repos: [...repos.values()].sort(byTotal).map(({ repo, branches, ...r }) => ({
+      repo,
+      name: repo ? path.basename(repo) : null,
+      ...rollup(r),
+      branches: [...branches.values()].sort(byTotal).map(rollup),
+    })),
+  };
+}
+
+/** Attribution as JSON, or as CSV with one row per repository and branch. */
+function renderAttribution(filter, format = 'json') {
+  const attribution = buildAttribution(filter);
+  if (format !== 'csv') return { body: JSON.stringify(attribution, null, 2), contentType: 'application/json' };
+  const rows = attribution.repos.flatMap(r => r.branches.map(b => ({ repo: r.repo, ...b })));
+  return { body: toCSV(rows, ATTRIBUTION_COLUMNS), contentType: 'text/csv; charset=utf-8' };
+}
+
+// ─── Usage windows (rolling 5 hours) ─────────────────────────────────────────
+const USAGE_WINDOW_MS = 5 * 3600000;
+const MIN_PROJECTION_MS = 30 * 60000; // how much of a window must pass before it is projected
+
+/**
+ * Splits API calls from every session onto one timeline of usage windows, the
+ * way subscription plans meter usage: a window opens at the first call after
+ * the previous window closed and lasts `windowMs`, whichever session or
+ * project the calls came from. `calls` need `t` (epoch ms), `path` and the
+ * bucket fields. The window still open at `now` is `active`, with its usage
+ * projected to the end of the window at its average rate so far once 30
+ * minutes have passed (`null` before that); `history`
+ * lists up to `limit` closed windows, newest first.
+ */
+function usageWindows(calls, { now = Date.now(), limit = 20, windowMs = USAGE_WINDOW_MS } = {}) {
+  const windows = [];
+  let cur = null;
+  for (const c of [...calls].sort((a, b) => a.t - b.t)) {
+    if (!cur || c.t >= cur.end) windows.push(cur = { start: c.t, end: c.t + windowMs, lastCall: c.t, ...emptyBucket(), sessions: new Set() });
+    addToBucket(cur, c);
+    cur.lastCall = c.t;
+    cur.sessions.add(c.path);
+  }
+
+  const out = ({ start, end, lastCall, sessions, ...b }) => ({
+    start: new Date(start).toISOString(), end: new Date(end).toISOString(), lastCallAt: new Date(lastCall).toISOString(),
+    ...b, cost: roundUSD(b.cost), sessions: sessions.size,
+  });
+  const open   = cur && now < cur.end ? cur : null;
+  const closed = open ? windows.slice(0, -1) : windows;
+  let active = null;
+  if (open) {
+    // The first few calls of a window say little about the next five hours
+    const elapsed = now - open.start;
+    const scale   = elapsed >= MIN_PROJECTION_MS ? windowMs / elapsed : null;
+    active = {
+      ...out(open),
+      elapsedMs:      elapsed,
+      remainingMs:    open.end - now,
+      projectedTotal: scale === null ? null : Math.round(open.total * scale),
+      projectedCost:  scale === null ? null : roundUSD(open.cost * scale),
+    };
+  }
+  const peak = closed.reduce((p, w) => (!p || w.total > p.total ? w : p), null);
+  return {
+    generatedAt: new Date(now).toISOString(),
+    windowHours: windowMs / 3600000,
+    active,
+    peak:    peak && out(peak), // the closed window with the most tokens
+    windows: closed.length,
+    history: closed.slice(-limit).reverse().map(out),
+  };
+}
+
+/** Usage windows across every discovered session, plus the ledger for sessions whose files are gone. */
+function buildUsageWindows(opts = {}) {
+  const calls    = [];
+  const sessions = discoverSessions();
+  for (const session of sessions) {
+    for (const [t, input, cacheRead, cacheCreated, output, cost] of loadSummary(session)?.calls || []) {
+      calls.push({ t, path: session.path, input, cacheRead, cacheCreated, output, cost });
+    }
+  }
+  const live = new Set(sessions.map(s => s.path));
+  for (const e of loadLedger().entries) {
+    const t = Date.parse(e.timestamp);
+    if (!live.has(e.path) && !isNaN(t)) {
+      calls.push({ t, path: e.path, input: e.input, cacheRead: e.cacheRead, cacheCreated: e.cacheCreated, output: e.output, cost: e.cost });
+    }
+  }
+  return usageWindows(calls, opts);
+}
+
+// ─── Prometheus metrics ──────────────────────────────────────────────────────
+/** Counters per project, session and model: [metric name, summary bucket field, help]. */
+const METRIC_COUNTERS = [
+  ['claude_code_input_tokens',          'input',        'Uncached input tokens sent.'],
+  ['claude_code_cache_read_tokens',     'cacheRead',    'Input tokens read from the prompt cache.'],
+  ['claude_code_cache_creation_tokens', 'cacheCreated', 'Input tokens written to the prompt cache.'],
+  ['claude_code_output_tokens',         'output',       'Output tokens generated.'],
+  ['claude_code_cost_usd',              'cost',         'Estimated cost in USD at list prices.'],
+  ['claude_code_api_calls',             'exchanges',    'API calls (exchanges).'],
+];
+
+const metricLabels = obj => '{' + Object.entries(obj)
+  .map(([k, v]) => `${k}="${String(v ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+  .join(',') + '}';
+
+const metricValue = v => Number.isInteger(v) ? String(v) : String(Number(v.toFixed(6)));
+
+/**
+ * Every discovered session's usage in the Prometheus text exposition format,
+ * or OpenMetrics when `openMetrics` is set (the two differ in how counters
+ * are named and in the closing "# EOF").
+ */
+function renderMetrics({ openMetrics = false } = {}) {
+  const sums = discoverSessions().map(loadSummary).filter(s => s && s.totals.exchanges);
+  const lines = [];
+  const family = (name, type, help, samples) => {
+    const sample = type === 'counter' ? name + '_total' : name;
+    lines.push(`# HELP ${openMetrics ? name : sample} ${help}`, `# TYPE ${openMetrics ? name : sample} ${type}`);
+    for (const [labels, v] of samples) lines.push(`${sample}${metricLabels(labels)} ${metricValue(v)}`);
+  };
+  const session = s => ({ project: s.project, session: s.sessionId });
+
+  for (const [name, field, help] of METRIC_COUNTERS) {
+    const samples = [];
+    for (const s of sums) {
+      for (const [model, b] of Object.entries(s.byModel)) samples.push([{ ...session(s), model }, b[field]]);
+    }
+    family(name, 'counter', help, samples);
+  }
+
+  const withContext = sums.filter(s => s.context);
+  family('claude_code_context_tokens', 'gauge', 'Context window usage of the latest main-thread API call.',
+    withContext.map(s => [{ ...session(s), model: s.context.model || 'unknown' }, s.context.tokens]));
+  family('claude_code_context_limit_tokens', 'gauge', 'Context window size of the latest main-thread model.',
+    withContext.map(s => [{ ...session(s), model: s.context.model || 'unknown' }, s.context.limit]));
+  family('claude_code_context_usage_ratio', 'gauge', 'Context window usage as a fraction of the limit.',
+    withContext.map(s => [{ ...session(s), model: s.context.model || 'unknown' }, s.context.limit ? s.context.tokens / s.context.limit : 0]));
+  family('claude_code_compactions', 'gauge', 'Context compactions in the session.',
+    sums.map(s => [session(s), s.compactions]));
+  family('claude_code_last_activity_seconds', 'gauge', 'Unix time of the latest API call in the session.',
+    sums.filter(s => s.lastTs).map(s => [session(s), Math.floor(Date.parse(s.lastTs) / 1000)]));
+
+  if (openMetrics) lines.push('# EOF');
+  return lines.join('\n') + '\n';
+}
+
+// ─── Turns & export ──────────────────────────────────────────────────────────
+/**
+ * Groups exchanges into user turns: a turn starts at an exchange that carries
+ * a user message and collects the API calls that follow it. The dashboard page
+ * embeds this same function, so exports and the UI always agree.
+ */
+function groupTurns(exchanges) {
+  const turns = [];
+  let cur = null;
+  for (const ex of exchanges) {
+    if (ex.userMessage !== null) {
+      cur = { user: ex.userMessage, exs: [ex] };
+      turns.push(cur);
+    } else if (cur) {
+      cur.exs.push(ex);
+    } else {
+      cur = { user: null, exs: [ex] };
+      turns.push(cur);
+    }
+  }
+  return turns;
+}
+
+const EXCHANGE_COLUMNS = [
+  'exchange', 'turn', 'timestamp', 'uuid', 'requestId', 'model', 'isSidechain', 'agentId',
+  'input', 'cacheRead', 'cacheCreated', 'output', 'totalContext', 'cost', 'tools',
+  'cacheMiss', 'cacheWastedTokens', 'cwd', 'gitBranch',
+];
+
+const TURN_COLUMNS = [
+  'turn', 'timestamp', 'isCompactSummary', 'apiCalls', 'tools',
+  'input', 'cacheRead', 'cacheCreated', 'output', 'total', 'sidechainTotal', 'cost', 'prompt', 'response',
+];
+
+/** Flat per-exchange and per-turn rows for a parsed session. */
+function exportRows(data) {
+  const turns        = groupTurns(data.exchanges);
+  const exchangeRows = [];
+  const turnRows     = [];
+
+  turns.forEach((turn, ti) => {
+    const tok = { input: 0, cacheRead: 0, cacheCreated: 0, output: 0, cost: 0 };
+    let sidechainTotal = 0;
+    const tools = [];
+    for (const ex of turn.exs) {
+      addUsage(tok, ex);
+      if (ex.isSidechain) sidechainTotal += tokenSum(ex);
+      for (const t of ex.tools || []) tools.push(t.name);
+      exchangeRows.push({
+        exchange:     exchangeRows.length + 1,
+        turn:         ti + 1,
+        timestamp:    ex.timestamp,
+        uuid:         ex.uuid,
+        requestId:    ex.requestId || null,
+        model:        ex.model || null,
+        isSidechain:  !!ex.isSidechain,
+        agentId:      ex.agentId || null,
+        cwd:          ex.cwd || null,
+        gitBranch:    ex.gitBranch || null,
+        input:        ex.input,
+        cacheRead:    ex.cacheRead,
+        cacheCreated: ex.cacheCreated,
+        output:       ex.output,
+        totalContext: ex.totalContext,
+        cost:         roundUSD(ex.cost),
+        tools:        (ex.tools || []).map(t => t.name).join(' '),
+        cacheMiss:         ex.cacheMiss?.cause || null,
+        cacheWastedTokens: ex.cacheMiss?.wastedTokens || 0,
+      });
+    }
+    const mainExs = turn.exs.filter(ex => !ex.isSidechain);
+    turnRows.push({
+      turn:             ti + 1,
+      timestamp:        turn.user?.timestamp || turn.exs[0]?.timestamp,
+      isCompactSummary: !!turn.user?.isCompactSummary,
+      apiCalls:         turn.exs.length,
+      tools:            tools.join(' '),
+      ...tok,
+      cost:             roundUSD(tok.cost),
+      total:            tokenSum(tok),
+      sidechainTotal,
+      prompt:           turn.user?.content || '',
+      response:         (mainExs[mainExs.length - 1] || turn.exs[turn.exs.length - 1]).response || '',
+    });
+  });
+
+  return { exchanges: exchangeRows, turns: turnRows };
+}
+
+function roundUSD(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+/**
+ * One CSV cell. Text starting with =, +, -, @, a tab or a carriage return is
+ * prefixed with ' so spreadsheets don't run prompts and responses as formulas.
+ */
+function csvField(v) {
+  if (v == null) return '';
+  let str = String(v);
+  if (typeof v === 'string' && /^[=+\-@\t\r]/.test(str)) str = "'" + str;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCSV(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map(c => csvField(row[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
 
-// ─── SSE client registry ────────────────────────────────────────────────────
-/** @type {Map<string, Set<http.ServerResponse>>} path → clients */
-const clientsByPath = new Map();
+/**
+ * Renders a session export. `format` is "json" (session info, exchanges and
+ * turns together) or "csv" (one table, chosen with `rows`).
+ *
+ * @returns {{ body: string, contentType: string }}
+ */
+function renderExport(filePath, data, { format = 'json', rows = 'exchanges' } = {}) {
+  const out = exportRows(data);
+  if (format === 'csv') {
+    const body = rows === 'turns' ? toCSV(out.turns, TURN_COLUMNS) : toCSV(out.exchanges, EXCHANGE_COLUMNS);
+    return { body, contentType: 'text/csv; charset=utf-8' };
+  }
+  const session = {
+    path: filePath, sessionId: data.sessionId, slug: data.slug, model: data.model, version: data.version,
+    totals: data.totals, sidechainTotals: data.sidechainTotals, compactCount: data.compactCount,
+  };
+  return { body: JSON.stringify({ session, ...out }, null, 2), contentType: 'application/json' };
+}
 
-// ─── File watchers ──────────────────────────────────────────────────────────
-/** @type {Map<string, fs.FSWatcher>} */
-const watchers = new Map();
+const EXPORT_FORMATS = ['csv', 'json'];
+const EXPORT_ROWS    = ['exchanges', 'turns'];
 
-// ─── Discovery ──────────────────────────────────────────────────────────────
-function discoverSessions() {
-  const sessions = [];
-  if (!fs.existsSync(CLAUDE_PROJECTS_DIR)) return sessions;
+/** `node server.js export …` — writes a session export to stdout without starting the server. */
+function runExport() {
+  const format = flag('--format') || 'csv';
+  const rows   = flag('--rows')   || 'exchanges';
+  if (!EXPORT_FORMATS.includes(format)) fail(`Unknown --format "${format}" (expected ${EXPORT_FORMATS.join(' or ')})`);
+  if (!EXPORT_ROWS.includes(rows))      fail(`Unknown --rows "${rows}" (expected ${EXPORT_ROWS.join(' or ')})`);
 
-  let projects;
-  try { projects = fs.readdirSync(CLAUDE_PROJECTS_DIR); }
-  catch (_) { return sessions; }
+  if (flag('--history')) {
+    if (!LEDGER_FILE) fail('--history needs the ledger; drop --no-ledger');
+    ingestAll();
+    const filter = { from: flag('--from') || null, to: flag('--to') || null, project: flag('--project') || null, session: flag('--session') || null };
+    process.stdout.write(renderHistory(filter, format).body);
+    return;
+  }
 
-  for (const project of projects) {
-    const projectDir = path.join(CLAUDE_PROJECTS_DIR, project);
-    let stat;
-    try { stat = fs.statSync(projectDir); } catch (_) { continue; }
-    if (!stat.isDirectory()) continue;
+  const filePath = FORCED || discoverSessions()[0]?.path;
+  if (!filePath) fail(`No sessions found in ${PROJECTS_DIRS.join(', ')}; pass --path`);
 
-    let files;
-    try { files = fs.readdirSync(projectDir); } catch (_) { continue; }
+  const result = loadSession(filePath, { live: false });
+  if (!result) fail(`Cannot read ${filePath}`);
+  process.stdout.write(renderExport(filePath, result.data, { format, rows }).body);
 
-    for (const file of files) {
-      if (!file.endsWith('.jsonl')) continue;
-      const filePath = path.join(projectDir, file);
-      try {
-        const fstat = fs.statSync(filePath);
-        sessions.push({
-          path:      filePath,
-          project:   project,
-          sessionId: file.replace('.jsonl', ''),
-          mtime:     new Date(fstat.mtime).toLocaleString(),
-          mtimeRaw:  fstat.mtime.getTime(),
-          size:      fstat.size,
-        });
-      } catch (_) {}
-    }
+  function fail(msg) {
+    console.error(`[dashboard] export: ${msg}`);
+    process.exit(1);
   }
+}
 
-  return sessions.sort((a, b) => b.mtimeRaw - a.mtimeRaw);
+// ─── Forecast ────────────────────────────────────────────────────────────────
+/**
+ * Projects where a session is heading from the timestamps of its recent calls:
+ * context growth per turn and per minute since the last compaction, how many
+ * turns and minutes remain before auto-compaction, and the burn rate over the
+ * last `windowMinutes` of activity with the cost it adds up to by `until`.
+ * Rates are null until there are two points to measure between; a session
+ * idle for longer than the window is projected to spend nothing more. The
+ * dashboard page embeds this same function.
+ */
+function forecastSession(data, { compactPct = 80, now = Date.now(), until = now + 3600000, turns = 10, windowMinutes = 30 } = {}) {
+  const limit = data.contextLimit || 200000;
+  const comps = data.compactions || [];
+  const auto  = comps.filter(c => c.trigger === 'auto' && c.preTokens > 0 && c.preTokens <= limit).pop();
+  const compactAt = auto ? auto.preTokens : Math.round(limit * compactPct / 100);
+  const ms = ex => Date.parse(ex.timestamp);
+
+  // Context only grows between compactions, so measure from the latest one
+  const since = comps.length ? Date.parse(comps[comps.length - 1].timestamp) : -Infinity;
+  const main  = data.exchanges.filter(ex => !ex.isSidechain && !(ms(ex) < since));
+  const ends  = groupTurns(main).slice(-(turns + 1)).map(t => t.exs[t.exs.length - 1]);
+  const first = ends[0], last = ends[ends.length - 1];
+  const current   = last ? last.totalContext : null;
+  const remaining = last ? Math.max(0, compactAt - current) : null;
+  let growthPerTurn = null, growthPerMin = null;
+  if (ends.length >= 2) {
+    growthPerTurn = (last.totalContext - first.totalContext) / (ends.length - 1);
+    const mins = (ms(last) - ms(first)) / 60000;
+    if (mins > 0) growthPerMin = (last.totalContext - first.totalContext) / mins;
+  }
+  const turnsLeft   = growthPerTurn > 0 ? Math.ceil(remaining / growthPerTurn) : null;
+  const minutesLeft = growthPerMin  > 0 ? remaining / growthPerMin : null;
+
+  // Burn rate: every call, subagents included, in the window before the latest one
+  const lastMs = data.exchanges.reduce((m, ex) => Math.max(m, ms(ex) || 0), 0);
+  const recent = data.exchanges.filter(ex => ms(ex) >= lastMs - windowMinutes * 60000);
+  const idle   = !lastMs || now - lastMs > windowMinutes * 60000;
+  let tokensPerMin = null, costPerMin = null;
+  if (!idle && recent.length >= 2) {
+    const mins = (lastMs - Math.min(...recent.map(ms))) / 60000;
+    // The first call in the window marks its start; only what came after it counts
+    const after = recent.slice(1);
+    if (mins > 0) {
+      tokensPerMin = after.reduce((n, ex) => n + ex.input + ex.cacheRead + ex.cacheCreated + ex.output, 0) / mins;
+      costPerMin   = after.reduce((n, ex) => n + ex.cost, 0) / mins;
+    }
+  }
+  const cost = data.totals.cost;
+  return {
+    limit, compactAt, compactAtObserved: !!auto,
+    current, remaining, growthPerTurn, growthPerMin, turnsLeft, minutesLeft,
+    idle, tokensPerMin, costPerMin,
+    cost, until, projectedCost: cost + (costPerMin || 0) * Math.max(0, until - now) / 60000,
+  };
 }
 
-// ─── JSONL Parser ────────────────────────────────────────────────────────────
-function parseJSONL(filePath) {
-  let raw;
-  try { raw = fs.readFileSync(filePath, { encoding: 'utf8', flag: 'r' }); }
-  catch (err) { console.error(`[dashboard] Cannot read JSONL: ${err.code} – ${filePath}`); return null; }
+// ─── Report (CLI) ────────────────────────────────────────────────────────────
+const REPORT_TOP = 5;
+
+/**
+ * Usage summary of the given sessions, counting only API calls and turns that
+ * fall in the inclusive `from` / `to` days. `live` keeps parse states so a
+ * watching report re-reads only appended lines.
+ */
+function buildReport(sessions, { from = null, to = null, top = REPORT_TOP, live = false } = {}) {
+  const inRange = ts => {
+    const day = dayKey(ts);
+    return (!from || (day && day >= from)) && (!to || (day && day <= to));
+  };
+  const totals = emptyBucket();
+  const rows   = [];
+  const turns  = [];
+  let compactions = 0;
 
-  const lines = raw.split('\n').filter(Boolean);
+  for (const session of sessions) {
+    const data = loadSession(session.path, { live })?.data;
+    if (!data) continue;
+    const bucket = emptyBucket();
+    for (const ex of data.exchanges) if (inRange(ex.timestamp)) addToBucket(bucket, ex);
+    if (!bucket.exchanges) continue;
+    addToBucket(totals, bucket);
 
-  const data = {
-    sessionId:  null,
-    slug:       null,
-    model:      null,
-    version:    null,
-    exchanges:  [],
-    totals: { input: 0, cacheRead: 0, cacheCreated: 0, output: 0 },
-    compactCount: 0,
+    const comps = data.compactions.filter(c => inRange(c.timestamp)).length;
+    compactions += comps;
+
+    const sessionTurns = groupTurns(data.exchanges).map((turn, i) => ({
+      project:   session.project,
+      sessionId: session.sessionId,
+      turn:      i + 1,
+      timestamp: turn.user?.timestamp || turn.exs[0]?.timestamp,
+      prompt:    (turn.user?.content || '').replace(/\s+/g, ' ').trim().slice(0, 200),
+      apiCalls:  turn.exs.length,
+      total:     turn.exs.reduce((n, ex) => n + tokenSum(ex), 0),
+      cost:      turn.exs.reduce((n, ex) => n + ex.cost, 0),
+    })).filter(t => inRange(t.timestamp));
+    turns.push(...sessionTurns);
+
+    const latest = data.exchanges.findLast(ex => !ex.isSidechain);
+    rows.push({
+      path:         session.path,
+      project:      session.project,
+      sessionId:    session.sessionId,
+      model:        latest?.model || data.model,
+      lastTs:       data.exchanges[data.exchanges.length - 1]?.timestamp || null,
+      turns:        sessionTurns.length,
+      ...bucket,
+      cost:         roundUSD(bucket.cost),
+      cacheHitRate: cacheHitRate(bucket),
+      compactions:  comps,
+      context:      latest ? { tokens: latest.totalContext, limit: data.contextLimit, pct: latest.totalContext / data.contextLimit * 100 } : null,
+    });
+  }
+
+  totals.cost = roundUSD(totals.cost);
+  return {
+    generatedAt:  new Date().toISOString(),
+    from, to,
+    totals,
+    cacheHitRate: cacheHitRate(totals),
+    compactions,
+    turns:        turns.length,
+    sessions:     rows.sort((a, b) => (b.lastTs || '').localeCompare(a.lastTs || '')),
+    topTurns:     turns.sort((a, b) => b.cost - a.cost).slice(0, top).map(t => ({ ...t, cost: roundUSD(t.cost) })),
   };
+}
 
-  let pendingUser = null; // most recent real user message
+/** Percentage of cached input that was read rather than written. */
+function cacheHitRate(t) {
+  const cached = t.cacheRead + t.cacheCreated;
+  return cached ? Math.round(t.cacheRead / cached * 1000) / 10 : 0;
+}
 
-  for (const line of lines) {
-    let rec;
-    try { rec = JSON.parse(line); } catch (_) { continue; }
+function humanTokens(n) {
+  const short = (v, d) => v.toFixed(d).replace(/\.0+$/, '');
+  return n >= 1e6 ? short(n / 1e6, 2) + 'M' : n >= 1e3 ? short(n / 1e3, 1) + 'k' : String(n);
+}
 
-    // ── Compact boundary event ──────────────────────────────────────────────
-    if (rec.type === 'system' && rec.subtype === 'compact_boundary') {
-      data.compactCount++;
-      if (rec.compactMetadata?.preTokens) {
-        data.compactPreTokens = rec.compactMetadata.preTokens;
-      }
-      continue;
+/** Plain-text table; `align` holds 'l' or 'r' per column. */
+function textTable(head, rows, align) {
+  const cells = [head, ...rows].map(r => r.map(c => String(c ?? '')));
+  const width = head.map((_, i) => Math.max(...cells.map(r => r[i].length)));
+  const line  = r => '  ' + r.map((c, i) => align[i] === 'r' ? c.padStart(width[i]) : c.padEnd(width[i])).join('  ').trimEnd();
+  return [line(cells[0]), '  ' + width.map(w => '─'.repeat(w)).join('  '), ...cells.slice(1).map(line)].join('\n');
+}
+
+function renderReportText(report, { title, color = false }) {
+  const bold = s => color ? `\x1b[1m${s}\x1b[0m` : s;
+  const dim  = s => color ? `\x1b[2m${s}\x1b[0m` : s;
+  const t = report.totals;
+  const out = [];
+  const when = ts => ts ? new Date(ts).toLocaleString() : '—';
+  const ctx  = c => c ? `${humanTokens(c.tokens)} / ${humanTokens(c.limit)} (${c.pct.toFixed(1)}%)` : '—';
+
+  out.push(bold(title) + dim(`  ·  ${new Date(report.generatedAt).toLocaleString()}`), '');
+  out.push(textTable(['Input', 'Cache read', 'Cache written', 'Output', 'Total tokens', 'Cost'], [[
+    humanTokens(t.input), humanTokens(t.cacheRead), humanTokens(t.cacheCreated), humanTokens(t.output), humanTokens(t.total), '$' + t.cost.toFixed(2),
+  ]], ['r', 'r', 'r', 'r', 'r', 'r']));
+  out.push('', `  Cache hit rate ${bold(report.cacheHitRate + '%')}   Compactions ${bold(report.compactions)}   ` +
+    `API calls ${bold(t.exchanges)}   Turns ${bold(report.turns)}   Sessions ${bold(report.sessions.length)}`);
+
+  if (report.sessions.length === 1) {
+    const s = report.sessions[0];
+    const c = s.context;
+    const barW = 30, filled = c ? Math.round(Math.min(100, c.pct) / 100 * barW) : 0;
+    out.push(`  Context        ${bold(ctx(c))}  ${'█'.repeat(filled)}${dim('░'.repeat(barW - filled))}  ${dim(s.model || '')}`);
+  } else if (report.sessions.length) {
+    out.push('', bold('Sessions'));
+    out.push(textTable(
+      ['Project / Session', 'Model', 'Last active', 'Calls', 'Tokens', 'Cost', 'Cache hit', 'Compact', 'Context'],
+      report.sessions.map(s => [
+        `${s.project} / ${s.sessionId.slice(0, 8)}`, s.model || '—', when(s.lastTs), s.exchanges,
+        humanTokens(s.total), '$' + s.cost.toFixed(2), s.cacheHitRate + '%', s.compactions, ctx(s.context),
+      ]),
+      ['l', 'l', 'l', 'r', 'r', 'r', 'r', 'r', 'l']));
+  }
+
+  if (report.topTurns.length) {
+    out.push('', bold(`Top ${report.topTurns.length} turns by cost`));
+    const multi = report.sessions.length > 1;
+    out.push(textTable(
+      ['#', 'When', ...(multi ? ['Session'] : []), 'Calls', 'Tokens', 'Cost', 'Prompt'],
+      report.topTurns.map(tu => [
+        tu.turn, when(tu.timestamp), ...(multi ? [`${tu.project} / ${tu.sessionId.slice(0, 8)}`] : []),
+        tu.apiCalls, humanTokens(tu.total), '$' + tu.cost.toFixed(2), tu.prompt.slice(0, 60) + (tu.prompt.length > 60 ? '…' : ''),
+      ]),
+      ['r', 'l', ...(multi ? ['l'] : []), 'r', 'r', 'r', 'l']));
+  }
+  return out.join('\n') + '\n';
+}
+
+/** `node server.js report …` — prints a usage summary, once or (with --watch) until Ctrl+C. */
+function runReport() {
+  const from    = flag('--from')    || null;
+  const to      = flag('--to')      || null;
+  const project = flag('--project') || null;
+  const top     = flag('--top')     || REPORT_TOP;
+  const all     = !!(flag('--all') || from || to || project);
+  const watch   = !!flag('--watch');
+
+  const pick = () => {
+    const sessions = discoverSessions();
+    if (FORCED) return sessions.filter(s => s.path === FORCED).concat(sessions.some(s => s.path === FORCED) ? [] : [{
+      path: FORCED, project: path.basename(path.dirname(FORCED)), sessionId: path.basename(FORCED, '.jsonl'),
+    }]);
+    if (flag('--session')) return sessions.filter(s => s.sessionId === flag('--session'));
+    if (all) return project ? sessions.filter(s => s.project === project) : sessions;
+    return sessions.slice(0, 1);
+  };
+  const title = () => {
+    if (!all) return 'Claude Code usage';
+    const range = from || to ? ` · ${from || '…'} → ${to || '…'}` : '';
+    return `Claude Code usage · ${project || 'all sessions'}${range}`;
+  };
+
+  const draw = () => {
+    const sessions = pick();
+    if (!sessions.length) {
+      console.error(`[dashboard] report: no matching sessions in ${PROJECTS_DIRS.join(', ')}`);
+      if (!watch) process.exit(1);
+      return;
+    }
+    const report = buildReport(sessions, { from, to, top, live: watch });
+    if (flag('--json')) {
+      process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+      return;
     }
+    const single = report.sessions.length === 1 ? report.sessions[0] : null;
+    const text = renderReportText(report, {
+      title: title() + (single ? ` · ${single.project} / ${single.sessionId}` : ''),
+      color: process.stdout.isTTY,
+    });
+    // Clear the screen and home the cursor, like top
+    process.stdout.write(watch && process.stdout.isTTY ? '\x1b[2J\x1b[H' + text : text);
+  };
+
+  draw();
+  if (!watch) return;
+  const timer = setInterval(draw, (flag('--interval') || 2) * 1000);
+  process.on('SIGINT', () => {
+    clearInterval(timer);
+    process.stdout.write('\n');
+    process.exit(0);
+  });
+}
+
+// ─── Turn detail ─────────────────────────────────────────────────────────────
+const DETAIL_TEXT_LIMIT = 50000; // per tool result; raw records are never cut
+
+function readRecords(filePath) {
+  let raw;
+  try { raw = fs.readFileSync(filePath, 'utf8'); } catch (_) { return []; }
+  const out = [];
+  for (const line of raw.split('\n')) {
+    if (!line) continue;
+    try { out.push(JSON.parse(line)); } catch (_) {}
+  }
+  return out;
+}
 
-    // ── User messages ───────────────────────────────────────────────────────
-    if (rec.type === 'user' && rec.message?.role === 'user') {
-      // Skip pure meta wrappers
-      if (rec.isMeta) continue;
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(c => c.type === 'text' ? c.text || '' : `[${c.type}]`).join('\n');
+}
 
-      const msgContent = rec.message.content;
+/** Key shared by the records of one streamed response: the message id, or else the requestId. */
+function responseKey(rec) {
+  return rec?.type === 'assistant' ? rec.message?.id || rec.requestId || null : null;
+}
 
-      // Skip tool result messages — these are tool call responses sent back to Claude,
-      // not actual human input. When ALL content items are tool_result, this is a
-      // mid-turn tool response; grouping it as a new user turn would split a single
-      // user question into multiple rows.
-      if (Array.isArray(msgContent) && msgContent.length > 0 &&
-          msgContent.every(c => c.type === 'tool_result')) continue;
+/**
+ * Everything behind one turn, located by the uuid of its user message or of
+ * any of its API calls (or by requestId): the full prompt, each API call with
+ * its raw usage and content blocks, tool results, and the raw JSONL records.
+ */
+function turnDetail(filePath, { uuid, requestId }) {
+  const result = loadSession(filePath, { live: false, reuse: true });
+  if (!result) return null;
 
-      const content = extractTextContent(msgContent);
+  const turns = groupTurns(result.data.exchanges);
+  const ti = turns.findIndex(t =>
+    (uuid && t.user?.uuid === uuid) ||
+    t.exs.some(ex => (uuid && ex.uuid === uuid) || (requestId && ex.requestId === requestId)));
+  if (ti < 0) return null;
+  const turn = turns[ti];
 
-      // Skip messages with no actual human text
-      if (!content.trim()) continue;
+  // Main-file records from this turn's first record up to the next turn's
+  const startOf = t => t && (t.user?.uuid || t.exs.find(ex => !ex.isSidechain)?.uuid);
+  const startId = startOf(turn);
+  const endId   = startOf(turns[ti + 1]);
+  const records = [];
+  let inside = false;
+  for (const rec of readRecords(filePath)) {
+    if (rec.uuid && rec.uuid === endId) break;
+    if (rec.uuid && rec.uuid === startId) inside = true;
+    if (inside) records.push(rec);
+  }
 
-      // Skip internal command plumbing
-      if (
-        content.includes('<local-command') ||
-        content.includes('<command-name>') ||
-        content.includes('<local-command-stdout>') ||
-        content.includes('<local-command-caveat>')
-      ) continue;
+  // Subagent calls live in their own transcripts, each response possibly over several records
+  const sideIds = new Set(turn.exs.filter(ex => ex.isSidechain).map(ex => ex.uuid));
+  if (sideIds.size) {
+    for (const agentPath of findSubagentFiles(filePath)) {
+      const agentRecs = readRecords(agentPath);
+      const keys = new Set(agentRecs.filter(r => sideIds.has(r.uuid)).map(responseKey).filter(Boolean));
+      for (const rec of agentRecs) if (sideIds.has(rec.uuid) || keys.has(responseKey(rec))) records.push(rec);
+    }
+  }
 
-      pendingUser = {
-        uuid:            rec.uuid,
-        timestamp:       rec.timestamp,
-        content:         content,
-        isCompactSummary: !!rec.isCompactSummary,
+  // Every record of a streamed response, in file order (see mergeResponse)
+  const byUuid = new Map(records.map(r => [r.uuid, r]));
+  const parts  = new Map();
+  for (const rec of records) {
+    const key = responseKey(rec);
+    if (key) parts.set(key, [...(parts.get(key) || []), rec]);
+  }
+  const toolResults = {};
+  for (const rec of records) {
+    if (rec.type !== 'user' || !Array.isArray(rec.message?.content)) continue;
+    for (const c of rec.message.content) {
+      if (c.type !== 'tool_result') continue;
+      const text = toolResultText(c.content);
+      toolResults[c.tool_use_id] = {
+        isError:   !!c.is_error,
+        text:      text.slice(0, DETAIL_TEXT_LIMIT),
+        truncated: Math.max(0, text.length - DETAIL_TEXT_LIMIT),
       };
-      continue;
     }
+  }
+
+  return {
+    path: filePath,
+    turn: ti + 1,
+    user: turn.user,
+    calls: turn.exs.map(ex => {
+      const rec  = byUuid.get(ex.uuid);
+      const recs = parts.get(responseKey(rec)) || (rec ? [rec] : []);
+      const msg  = recs[recs.length - 1]?.message || {}; // the last record carries the final usage
+      return {
+        ...ex,
+        stopReason: msg.stop_reason || null,
+        usage:      msg.usage || null,
+        blocks:     recs.flatMap(r => Array.isArray(r.message?.content) ? r.message.content : []).map(c =>
+          c.type === 'text'     ? { type: 'text', text: c.text || '' } :
+          c.type === 'thinking' ? { type: 'thinking', text: c.thinking || '' } :
+          c.type === 'tool_use' ? { type: 'tool_use', id: c.id, name: c.name, input: c.input, result: toolResults[c.id] || null } :
+          { type: c.type }),
+      };
+    }),
+    records,
+  };
+}
+
+// ─── Search (all sessions) ───────────────────────────────────────────────────
+/** @type {Map<string, { mtimeRaw: number, size: number, turns: object[] }>} */
+const searchCache = new Map();
 
-    // ── Assistant messages ──────────────────────────────────────────────────
-    if (rec.type === 'assistant' && rec.message?.usage) {
-      const msg   = rec.message;
-      const usage = msg.usage;
-
-      if (!data.sessionId && rec.sessionId) data.sessionId = rec.sessionId;
-      if (!data.model     && msg.model)     data.model     = msg.model;
-      if (!data.slug      && rec.slug)      data.slug      = rec.slug;
-      if (!data.version   && rec.version)   data.version   = rec.version;
-
-      const input        = usage.input_tokens                 || 0;
-      const cacheRead    = usage.cache_read_input_tokens      || 0;
-      const cacheCreated = usage.cache_creation_input_tokens  || 0;
-      const output       = usage.output_tokens                || 0;
-
-      const responseText = extractTextContent(msg.content);
-
-      data.exchanges.push({
-        uuid:        rec.uuid,
-        requestId:   rec.requestId,
-        timestamp:   rec.timestamp,
-        model:       msg.model,
-        input,
-        cacheRead,
-        cacheCreated,
-        output,
-        totalContext: input + cacheRead + cacheCreated,
-        userMessage: pendingUser || null,
-        response:    responseText,
-        serviceTier: usage.service_tier,
+/** Searchable text and totals for each turn of a session, cached by mtime and size. */
+function loadSearchTurns(session) {
+  const cached = searchCache.get(session.path);
+  if (cached && cached.mtimeRaw === session.mtimeRaw && cached.size === session.size) return cached.turns;
+
+  const data = loadSession(session.path, { live: false, reuse: true })?.data;
+  if (!data) return [];
+
+  const turns = groupTurns(data.exchanges).map((turn, i) => {
+    const tok = emptyTotals();
+    for (const ex of turn.exs) addUsage(tok, ex);
+    const responses = turn.exs.filter(ex => !ex.isSidechain).map(ex => ex.response).filter(Boolean);
+    return {
+      turn:      i + 1,
+      timestamp: turn.user?.timestamp || turn.exs[0]?.timestamp || null,
+      prompt:    turn.user?.content || '',
+      response:  responses.join('\n\n'),
+      total:     tokenSum(tok),
+      cost:      tok.cost,
+    };
+  });
+  searchCache.set(session.path, { mtimeRaw: session.mtimeRaw, size: session.size, turns });
+  return turns;
+}
+
+/** Up to `radius` chars either side of the first matching term. */
+function snippet(text, terms, radius = 160) {
+  const lower = text.toLowerCase();
+  const hits  = terms.map(t => lower.indexOf(t)).filter(i => i >= 0);
+  if (!hits.length) return text.slice(0, radius * 2);
+  const at    = Math.min(...hits);
+  const start = Math.max(0, at - radius);
+  const end   = Math.min(text.length, at + radius);
+  return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+/**
+ * Turns in any session whose prompt or response contains every search term
+ * (case-insensitive), newest first.
+ */
+function searchSessions(q, { limit = 50, project = null, from = null, to = null } = {}) {
+  const terms = String(q).toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return [];
+
+  const results  = [];
+  const sessions = discoverSessions();
+  for (const session of sessions) {
+    if (project && !session.project.toLowerCase().includes(project.toLowerCase())) continue;
+    for (const t of loadSearchTurns(session)) {
+      const day = t.timestamp ? dayKey(t.timestamp) : null;
+      if (from && (!day || day < from)) continue;
+      if (to   && (!day || day > to))   continue;
+      const text = (t.prompt + '\n' + t.response).toLowerCase();
+      if (!terms.every(term => text.includes(term))) continue;
+      results.push({
+        path:      session.path,
+        project:   session.project,
+        sessionId: session.sessionId,
+        turn:      t.turn,
+        timestamp: t.timestamp,
+        prompt:    snippet(t.prompt, terms),
+        response:  snippet(t.response, terms),
+        total:     t.total,
+        cost:      t.cost,
       });
+    }
+  }
 
-      data.totals.input        += input;
-      data.totals.cacheRead    += cacheRead;
-      data.totals.cacheCreated += cacheCreated;
-      data.totals.output       += output;
+  const live = new Set(sessions.map(s => s.path));
+  for (const p of searchCache.keys()) if (!live.has(p)) searchCache.delete(p);
 
-      pendingUser = null;
-      continue;
+  return results
+    .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''))
+    .slice(0, limit);
+}
+
+// ─── Budget alerts ───────────────────────────────────────────────────────────
+/** @type {Map<string, object>} alert id → alert, for conditions currently exceeded */
+const activeAlerts = new Map();
+
+let dailyCheckedAt = 0;
+const DAILY_CHECK_INTERVAL = 10000; // daily totals scan every session; throttle it
+
+function tokenSum(t) {
+  return t.input + t.cacheRead + t.cacheCreated + t.output;
+}
+
+/**
+ * Compares a session (and today's usage across all sessions) against the
+ * configured budgets. Each alert fires once when its condition becomes true
+ * and re-arms when the condition clears (e.g. context after a compaction).
+ */
+function checkAlerts(filePath, data) {
+  const project = path.basename(path.dirname(filePath));
+  const name    = `${project} / ${path.basename(filePath, '.jsonl').slice(0, 8)}`;
+
+  const mainExs  = data.exchanges.filter(ex => !ex.isSidechain);
+  const latest   = mainExs[mainExs.length - 1];
+  const ctxPct   = latest ? latest.totalContext / data.contextLimit * 100 : 0;
+  const sessTok  = tokenSum(data.totals);
+
+  evaluateAlert(`session:${filePath}:tokens`, ALERTS.sessionTokens != null && sessTok >= ALERTS.sessionTokens, () => ({
+    kind: 'sessionTokens', level: 'danger', path: filePath,
+    title: 'Session token budget exceeded',
+    message: `${name} has used ${sessTok.toLocaleString()} tokens (limit ${ALERTS.sessionTokens.toLocaleString()}).`,
+  }));
+  evaluateAlert(`session:${filePath}:cost`, ALERTS.sessionCost != null && data.totals.cost >= ALERTS.sessionCost, () => ({
+    kind: 'sessionCost', level: 'danger', path: filePath,
+    title: 'Session cost budget exceeded',
+    message: `${name} has cost an estimated $${data.totals.cost.toFixed(2)} (limit $${ALERTS.sessionCost.toFixed(2)}).`,
+  }));
+  evaluateAlert(`session:${filePath}:context`, ALERTS.contextPct != null && ctxPct >= ALERTS.contextPct, () => ({
+    kind: 'contextPct', level: 'warn', path: filePath,
+    title: 'Context window filling up',
+    message: `${name} is at ${ctxPct.toFixed(1)}% of its context window (threshold ${ALERTS.contextPct}%).`,
+  }));
+
+  if (ALERTS.dailyTokens == null && ALERTS.dailyCost == null) return;
+  if (Date.now() - dailyCheckedAt < DAILY_CHECK_INTERVAL) return;
+  dailyCheckedAt = Date.now();
+
+  const today = dayKey(new Date());
+  const day   = emptyBucket();
+  for (const session of discoverSessions()) {
+    const b = loadSummary(session)?.byDay[today];
+    if (b) addToBucket(day, b);
+  }
+  evaluateAlert(`daily:${today}:tokens`, ALERTS.dailyTokens != null && day.total >= ALERTS.dailyTokens, () => ({
+    kind: 'dailyTokens', level: 'danger',
+    title: 'Daily token budget exceeded',
+    message: `${day.total.toLocaleString()} tokens used today across all sessions (limit ${ALERTS.dailyTokens.toLocaleString()}).`,
+  }));
+  evaluateAlert(`daily:${today}:cost`, ALERTS.dailyCost != null && day.cost >= ALERTS.dailyCost, () => ({
+    kind: 'dailyCost', level: 'danger',
+    title: 'Daily cost budget exceeded',
+    message: `An estimated $${day.cost.toFixed(2)} spent today across all sessions (limit $${ALERTS.dailyCost.toFixed(2)}).`,
+  }));
+}
+
+function evaluateAlert(id, exceeded, build) {
+  if (!exceeded) { activeAlerts.delete(id); return; }
+  if (activeAlerts.has(id)) return;
+
+  const alert = { id, at: new Date().toISOString(), ...build() };
+  activeAlerts.set(id, alert);
+
+  // Session alerts go to that session's viewers; daily alerts to everyone
+  const targets = alert.path ? clientsByPath.get(alert.path) || [] : allClients;
+  for (const res of targets) sendSSE(res, { type: 'alert', alert });
+
+  if (hooksEnabled()) {
+    emitHookEvent(alert.kind === 'contextPct' ? 'contextThreshold' : 'budgetExceeded',
+      { session: alert.path ? sessionRef(alert.path) : null, alert });
+  }
+}
+
+/** Alerts still in effect that a client viewing `filePath` should see. */
+function alertsFor(filePath) {
+  return [...activeAlerts.values()].filter(a => !a.path || a.path === filePath);
+}
+
+// ─── Hooks ───────────────────────────────────────────────────────────────────
+/**
+ * Webhooks receive each usage event as an HTTP POST with a JSON body. Command
+ * hooks run through the shell with the same JSON on stdin. A hook without an
+ * `events` list gets every event.
+ */
+const HOOKS = {
+  webhooks:    [...CONFIG.hooks.webhooks, ...(flag('--webhook') || []).map(url => ({ url }))],
+  commands:    [...CONFIG.hooks.commands, ...(flag('--hook-command') || []).map(command => ({ command }))],
+  idleMinutes: CONFIG.hooks.idleMinutes,
+};
+const hooksEnabled = () => HOOKS.webhooks.length + HOOKS.commands.length > 0;
+
+/** path → { exchanges, compactions, mtimeRaw, size, lastActivity, idle } as of the last look */
+const hookSnapshots = new Map();
+
+const HOOK_POLL_INTERVAL = 30000; // idle checks, and a safety net for missed fs events
+
+function emitHookEvent(event, details) {
+  const body = { event, at: new Date().toISOString(), ...details };
+  const wants = h => !h.events || h.events.includes(event);
+  for (const h of HOOKS.webhooks) if (wants(h)) postWebhook(h, body);
+  for (const h of HOOKS.commands) if (wants(h)) runHookCommand(h, body);
+}
+
+function sendPost(hook, payload) {
+  return new Promise((resolve, reject) => {
+    const u   = new URL(hook.url);
+    const req = (u.protocol === 'https:' ? https : http).request(u, {
+      method:  'POST',
+      timeout: hook.timeoutMs ?? 5000,
+      headers: {
+        'Content-Type':   'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+        'User-Agent':     `claude-token-dashboard/${VERSION}`,
+        ...hook.headers,
+      },
+    }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('timeout', () => req.destroy(new Error('timed out')));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * POSTs `body` to a webhook. Network errors, timeouts, 429 and 5xx are retried
+ * with exponential backoff (`backoffMs`, doubling, up to `retries` times);
+ * other statuses are final.
+ *
+ * @returns {Promise<{ ok: boolean, status: number|null, attempts: number }>}
+ */
+async function postWebhook(hook, body) {
+  const { retries = 4, backoffMs = 1000 } = hook;
+  const payload = JSON.stringify(body);
+  for (let attempt = 1; ; attempt++) {
+    let status = null, error = null;
+    try { status = await sendPost(hook, payload); } catch (err) { error = err; }
+    if (status >= 200 && status < 300) return { ok: true, status, attempts: attempt };
+
+    const retryable = error || status === 429 || status >= 500;
+    if (!retryable || attempt > retries) {
+      console.error(`[dashboard] Webhook ${hook.url} failed for "${body.event}" after ${attempt} attempt(s): ${error ? error.message : 'HTTP ' + status}`);
+      return { ok: false, status, attempts: attempt };
     }
+    await new Promise(r => setTimeout(r, backoffMs * 2 ** (attempt - 1)));
   }
+}
 
-  return data;
+/**
+ * Runs a command hook through the shell with the event JSON on stdin and the
+ * basics in CLAUDE_EVENT, CLAUDE_PROJECT, CLAUDE_SESSION_ID and
+ * CLAUDE_SESSION_PATH. Killed after `timeoutMs` (default 30 s).
+ *
+ * @returns {Promise<number|null>} exit code
+ */
+function runHookCommand(hook, body) {
+  return new Promise(resolve => {
+    const child = spawn(hook.command, {
+      shell: true,
+      stdio: ['pipe', 'ignore', 'pipe'],
+      env: {
+        ...process.env,
+        CLAUDE_EVENT:        body.event,
+        CLAUDE_PROJECT:      body.session?.project   || '',
+        CLAUDE_SESSION_ID:   body.session?.sessionId || '',
+        CLAUDE_SESSION_PATH: body.session?.path      || '',
+      },
+    });
+    let stderr = '';
+    child.stderr.on('data', d => { stderr += d; });
+    const timer = setTimeout(() => child.kill(), hook.timeoutMs ?? 30000);
+    child.on('error', err => console.error(`[dashboard] Hook command failed to start: ${err.message}`));
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (code !== 0) console.error(`[dashboard] Hook command exited with ${code ?? 'a signal'} for "${body.event}": ${hook.command}${stderr ? '\n' + stderr.trim() : ''}`);
+      resolve(code);
+    });
+    child.stdin.on('error', () => {}); // the command may not read its input
+    child.stdin.end(JSON.stringify(body));
+  });
 }
 
-function extractTextContent(content) {
-  if (!content) return '';
-  if (typeof content === 'string') return content;
-  if (Array.isArray(content)) {
-    return content
-      .filter(c => c.type === 'text')
-      .map(c => c.text || '')
-      .join('');
+function sessionRef(filePath) {
+  return { path: filePath, project: path.basename(path.dirname(filePath)), sessionId: path.basename(filePath, '.jsonl') };
+}
+
+/**
+ * Events since the previous snapshot of a session. Without a snapshot, a file
+ * that appeared after startup (`isNew`) starts from nothing; any other file
+ * only gets a baseline, so existing history doesn't fire.
+ *
+ * @returns {{ events: { event: string, details: object }[], snapshot: object }}
+ */
+function sessionEvents(prev, data, session, { isNew = false, now = Date.now() } = {}) {
+  const snapshot = { exchanges: data.exchanges.length, compactions: data.compactions.length, lastActivity: prev?.lastActivity ?? null, idle: prev?.idle ?? false };
+  if (!prev && !isNew) return { events: [], snapshot };
+  // A re-parsed (truncated or replaced) file: take a new baseline
+  if (prev && (data.exchanges.length < prev.exchanges || data.compactions.length < prev.compactions)) return { events: [], snapshot };
+
+  const events = [];
+  if (!prev) events.push({ event: 'sessionStart', details: { session } });
+  const base = prev || { exchanges: 0, compactions: 0 };
+  for (const ex of data.exchanges.slice(base.exchanges)) {
+    events.push({ event: 'exchange', details: { session, exchange: {
+      uuid: ex.uuid, requestId: ex.requestId || null, timestamp: ex.timestamp, model: ex.model || null,
+      isSidechain: !!ex.isSidechain, input: ex.input, cacheRead: ex.cacheRead, cacheCreated: ex.cacheCreated,
+      output: ex.output, totalContext: ex.totalContext, cost: roundUSD(ex.cost),
+    }, totals: { ...data.totals, cost: roundUSD(data.totals.cost) } } });
   }
-  return '';
+  for (const c of data.compactions.slice(base.compactions)) {
+    events.push({ event: 'compaction', details: { session, compaction: c } });
+  }
+  if (data.exchanges.length > base.exchanges) { snapshot.lastActivity = now; snapshot.idle = false; }
+  return { events, snapshot };
+}
+
+/** Fires hook events for a freshly parsed session (from the watcher or the hook monitor). */
+function observeSession(filePath, data, { isNew = false } = {}) {
+  if (!hooksEnabled()) return;
+  const prev = hookSnapshots.get(filePath);
+  const { events, snapshot } = sessionEvents(prev, data, sessionRef(filePath), { isNew });
+  hookSnapshots.set(filePath, { ...prev, ...snapshot });
+  for (const e of events) emitHookEvent(e.event, e.details);
+}
+
+/**
+ * Hooks cover every session, not only the ones open in a browser: changed
+ * files are read on from where they were last read, on each discovery change
+ * and every 30 s. Watched sessions reuse the watcher's parse once it has
+ * caught up; polling never advances the watcher's parse state. Budget and
+ * context alerts stay with the watcher, for the sessions being viewed.
+ */
+function pollHookSessions() {
+  const sessions = discoverSessions();
+  for (const s of sessions) {
+    const prev = hookSnapshots.get(s.path);
+    if (prev && prev.mtimeRaw === s.mtimeRaw && prev.size === s.size) continue;
+    const data = loadSession(s.path, { live: false, reuse: true, follow: true })?.data;
+    if (!data) continue;
+    observeSession(s.path, data, { isNew: !prev });
+    hookSnapshots.get(s.path).mtimeRaw = s.mtimeRaw;
+    hookSnapshots.get(s.path).size = s.size;
+  }
+  const live = new Set(sessions.map(s => s.path));
+  for (const p of hookSnapshots.keys()) if (!live.has(p)) hookSnapshots.delete(p);
+
+  const idleMs = HOOKS.idleMinutes * 60000;
+  for (const [p, snap] of hookSnapshots) {
+    if (snap.idle || snap.lastActivity === null || Date.now() - snap.lastActivity < idleMs) continue;
+    snap.idle = true;
+    emitHookEvent('sessionIdle', { session: sessionRef(p), idleMinutes: HOOKS.idleMinutes, lastActivity: new Date(snap.lastActivity).toISOString() });
+  }
+}
+
+let hookTimer = null;
+
+function startHookMonitor() {
+  if (!hooksEnabled()) return;
+  // Baseline from the (cached) overview summaries: existing history doesn't fire
+  for (const s of discoverSessions()) {
+    const sum = loadSummary(s);
+    hookSnapshots.set(s.path, {
+      exchanges: sum?.totals.exchanges || 0, compactions: sum?.compactions || 0,
+      mtimeRaw: s.mtimeRaw, size: s.size, lastActivity: null, idle: false,
+    });
+  }
+  hookTimer = setInterval(pollHookSessions, HOOK_POLL_INTERVAL);
+  hookTimer.unref();
 }
 
 // ─── File watching ───────────────────────────────────────────────────────────
@@ -205,26 +2457,75 @@ function ensureWatcher(filePath) {
   if (watchers.has(filePath)) return;
 
   let debounce = null;
-  const watcher = fs.watch(filePath, () => {
+  const onChange = () => {
     clearTimeout(debounce);
     debounce = setTimeout(() => {
-      const parsed = parseJSONL(filePath);
-      if (!parsed) return;
-      broadcast(filePath, { type: 'update', data: parsed });
+      watchSubagentDir();
+      const result = loadSession(filePath);
+      if (!result || !result.changed) return;
+      checkAlerts(filePath, result.data);
+      observeSession(filePath, result.data);
+      ingestSession(filePath, result.data);
+
+      // Clients already hold everything before `from`; send only the tail.
+      const next = result.data.exchanges;
+      const prev = sentExchanges.get(filePath) || [];
+      sentExchanges.set(filePath, next.slice());
+      if (result.reset) {
+        broadcast(filePath, { type: 'update', data: result.data });
+      } else {
+        const from = firstDifference(prev, next);
+        broadcast(filePath, { type: 'delta', from, exchanges: next.slice(from), meta: sessionMeta(result.data) });
+      }
     }, 150);
-  });
+  };
 
+  const list = [];
+  const watcher = fs.watch(filePath, onChange);
   watcher.on('error', () => {
+    for (const w of list) w.close();
     watchers.delete(filePath);
   });
+  list.push(watcher);
+
+  // Subagent transcripts live beside the session (agent-*.jsonl) or in a
+  // subagents/ directory that may only appear once the first subagent runs.
+  const sessionId = path.basename(filePath, '.jsonl');
+  const watchDir = (dir, filter) => {
+    try {
+      const w = fs.watch(dir, (_, name) => { if (!filter || filter(String(name || ''))) onChange(); });
+      w.on('error', () => {});
+      list.push(w);
+      return true;
+    } catch (_) { return false; }
+  };
+  watchDir(path.dirname(filePath), name => name.startsWith('agent-') || name === sessionId);
+  let subagentsWatched = false;
+  const watchSubagentDir = () => {
+    if (!subagentsWatched) subagentsWatched = watchDir(subagentDir(filePath));
+  };
+  watchSubagentDir();
 
-  watchers.set(filePath, watcher);
+  watchers.set(filePath, list);
 }
 
 // ─── SSE helpers ─────────────────────────────────────────────────────────────
+/**
+ * The parsed session a subscribing client starts from. Only the first viewer
+ * parses through the watcher's state; once a session has viewers, advancing
+ * it here would take the delta they are waiting for.
+ */
+function initialData(filePath) {
+  const result = loadSession(filePath, { live: !clientsByPath.has(filePath), reuse: true });
+  return result?.data || { ...createParseState().data, readError: true };
+}
+
 function addClient(filePath, res) {
   if (!clientsByPath.has(filePath)) clientsByPath.set(filePath, new Set());
   clientsByPath.get(filePath).add(res);
+  if (!sentExchanges.has(filePath)) {
+    sentExchanges.set(filePath, loadSession(filePath)?.data.exchanges.slice() || []);
+  }
   ensureWatcher(filePath);
 }
 
@@ -234,15 +2535,19 @@ function removeClient(filePath, res) {
   set.delete(res);
   if (set.size === 0) {
     clientsByPath.delete(filePath);
-    const w = watchers.get(filePath);
-    if (w) { w.close(); watchers.delete(filePath); }
+    const list = watchers.get(filePath);
+    if (list) { for (const w of list) w.close(); watchers.delete(filePath); }
+    parseStates.delete(filePath);
+    for (const p of findSubagentFiles(filePath)) parseStates.delete(p);
+    sentExchanges.delete(filePath);
   }
 }
 
 function broadcast(filePath, payload) {
   const set = clientsByPath.get(filePath);
   if (!set || set.size === 0) return;
-  const msg = `data: ${JSON.stringify(payload)}\n\n`;
+  // Tagged with the path: a compare-mode client is subscribed to several sessions
+  const msg = `data: ${JSON.stringify({ ...payload, path: filePath })}\n\n`;
   for (const res of set) {
     try { res.write(msg); } catch (_) {}
   }
@@ -252,6 +2557,100 @@ function sendSSE(res, payload) {
   try { res.write(`data: ${JSON.stringify(payload)}\n\n`); } catch (_) {}
 }
 
+function broadcastAll(payload) {
+  for (const res of allClients) sendSSE(res, payload);
+}
+
+// ─── Live session discovery ──────────────────────────────────────────────────
+/** @type {fs.FSWatcher[]} watchers on the projects directory tree */
+const discoveryWatchers = [];
+let lastSessionsKey = '';
+let discoveryTimer  = null;
+const discoveryRetries = [];
+const rescanProjectDirs = []; // only needed without recursive watching
+
+/**
+ * Watches every projects directory for new project directories and session
+ * files and pushes a fresh `sessions` list to every client when it changes.
+ * Updates are throttled to one per second.
+ */
+function startDiscoveryWatcher() {
+  lastSessionsKey = sessionsKey(discoverSessions());
+  for (const dir of PROJECTS_DIRS) watchProjectsDir(dir);
+}
+
+function onDiscoveryChange(_, name) {
+  const file = String(name || '');
+  if (file && !file.endsWith('.jsonl') && path.extname(file)) return; // only sessions and directories
+  if (discoveryTimer) return;
+  discoveryTimer = setTimeout(() => {
+    discoveryTimer = null;
+    for (const rescan of rescanProjectDirs) rescan();
+    pushSessions();
+    if (hooksEnabled()) pollHookSessions();
+  }, 1000);
+}
+
+/**
+ * Uses a recursive watch where the platform supports one, otherwise one
+ * watcher per project directory.
+ */
+function watchProjectsDir(projectsDir, late = false) {
+  if (!fs.existsSync(projectsDir)) {
+    // Claude Code creates the directory on first use; check back later
+    discoveryRetries.push(setTimeout(() => watchProjectsDir(projectsDir, true), 10000));
+    return;
+  }
+  if (late) pushSessions();
+
+  try {
+    const w = fs.watch(projectsDir, { recursive: true }, onDiscoveryChange);
+    w.on('error', () => {});
+    discoveryWatchers.push(w);
+    return;
+  } catch (_) {
+    // Recursive watching is unavailable (e.g. Linux before Node 19.1)
+  }
+
+  const watched = new Set();
+  const watchDir = dir => {
+    if (watched.has(dir)) return;
+    try {
+      const w = fs.watch(dir, onDiscoveryChange);
+      w.on('error', () => { watched.delete(dir); });
+      discoveryWatchers.push(w);
+      watched.add(dir);
+    } catch (_) {}
+  };
+  const rescan = () => {
+    let projects = [];
+    try { projects = fs.readdirSync(projectsDir, { withFileTypes: true }); } catch (_) {}
+    for (const p of projects) if (p.isDirectory()) watchDir(path.join(projectsDir, p.name));
+  };
+  rescanProjectDirs.push(rescan);
+  watchDir(projectsDir);
+  rescan();
+}
+
+function sessionsKey(sessions) {
+  return sessions.map(s => `${s.path}:${s.mtimeRaw}:${s.size}`).join('|');
+}
+
+function pushSessions() {
+  const sessions = discoverSessions();
+  const key = sessionsKey(sessions);
+  if (key === lastSessionsKey) return;
+  lastSessionsKey = key;
+  if (!allClients.size) return; // a client gets the list when it connects
+  broadcastAll({ type: 'sessions', sessions: listSessions(sessions) });
+}
+
+function stopDiscoveryWatcher() {
+  clearTimeout(discoveryTimer);
+  for (const t of discoveryRetries.splice(0)) clearTimeout(t);
+  for (const w of discoveryWatchers.splice(0)) w.close();
+}
+
 // ─── HTML ────────────────────────────────────────────────────────────────────
 const HTML = /* html */ `<!DOCTYPE html>
 <html lang="en">
@@ -311,21 +2710,92 @@ header{
 .dot{width:7px;height:7px;border-radius:50%;background:var(--accent);animation:pulse 2s infinite;flex-shrink:0}
 .dot.off{background:var(--danger);animation:none}
 @keyframes pulse{0%,100%{opacity:1}50%{opacity:.3}}
-select.session-pick{
+/* session browser */
+.sb{position:relative;flex:1;max-width:380px;min-width:0}
+.session-pick{
+  background:var(--s2);
+  border:1px solid var(--border);
+  color:var(--text);
+  font-family:inherit;
+  font-size:11px;
+  padding:5px 9px;
+  border-radius:5px;
+  cursor:pointer;
+  width:100%;
+  text-align:left;
+  white-space:nowrap;
+  overflow:hidden;
+  text-overflow:ellipsis;
+}
+.session-pick::after{content:' ▾';color:var(--muted)}
+.session-pick:focus{outline:1px solid var(--accent);border-color:var(--accent)}
+.sb-pop{
+  position:absolute;top:calc(100% + 6px);right:0;z-index:30;
+  width:min(560px,92vw);max-height:70vh;
+  display:none;flex-direction:column;
+  background:var(--surface);border:1px solid var(--b2);border-radius:7px;
+  box-shadow:0 12px 32px rgba(0,0,0,.45);
+}
+.sb.open .sb-pop{display:flex}
+.sb-search{
+  margin:10px;padding:7px 10px;
+  background:var(--bg);border:1px solid var(--border);border-radius:5px;
+  color:var(--text);font-family:inherit;font-size:12px;
+}
+.sb-search:focus{outline:none;border-color:var(--accent)}
+.sb-list{overflow-y:auto;padding:0 6px 8px}
+.sb-group{
+  position:sticky;top:0;background:var(--surface);
+  padding:8px 6px 4px;font-size:10px;color:var(--muted);
+  text-transform:uppercase;letter-spacing:.06em;
+  display:flex;justify-content:space-between;gap:10px;
+}
+.sb-group span:first-child{text-transform:none;letter-spacing:0;color:var(--text2);font-weight:700;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+.sb-item{padding:6px 8px;border-radius:5px;cursor:pointer;border:1px solid transparent}
+.sb-item:hover,.sb-item.hl{background:var(--s2)}
+.sb-item.cur{border-color:var(--accent)}
+.sb-title{color:var(--text);font-size:12px;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+.sb-title.none{color:var(--muted2);font-style:italic}
+.sb-meta{display:flex;flex-wrap:wrap;gap:4px 10px;font-size:10.5px;color:var(--muted2);margin-top:2px}
+.sb-meta .br{color:var(--purple)}
+.sb-empty{padding:14px;color:var(--muted2);font-size:12px;text-align:center}
+.hdr-right{display:flex;align-items:center;gap:10px;min-width:0}
+.follow{display:flex;align-items:center;gap:5px;font-size:11px;color:var(--muted);white-space:nowrap;cursor:pointer}
+.follow input{accent-color:var(--accent)}
+.ts{font-size:11px;color:var(--muted);white-space:nowrap}
+
+.mode-btn{
   background:var(--s2);
   border:1px solid var(--border);
-  color:var(--text);
+  color:var(--text2);
   font-family:inherit;
   font-size:11px;
-  padding:5px 9px;
+  padding:5px 11px;
   border-radius:5px;
   cursor:pointer;
-  max-width:380px;
-  flex:1;
+  white-space:nowrap;
 }
-select.session-pick:focus{outline:1px solid var(--accent);border-color:var(--accent)}
-.hdr-right{display:flex;align-items:center;gap:10px;min-width:0}
-.ts{font-size:11px;color:var(--muted);white-space:nowrap}
+.mode-btn:hover{border-color:var(--accent);color:var(--accent)}
+.mode-btn.active{background:var(--accent);border-color:var(--accent);color:var(--bg);font-weight:700}
+
+/* ── Alerts ─────────────────────────────────────────────────────── */
+#alerts:empty{display:none}
+.alert-bar{
+  display:flex;
+  align-items:center;
+  gap:10px;
+  padding:8px 18px;
+  font-size:12px;
+  border-bottom:1px solid var(--border);
+  background:#451a03;
+  color:#fcd34d;
+}
+.alert-bar.danger{background:#450a0a;color:#fecaca}
+.alert-bar strong{white-space:nowrap}
+.alert-msg{flex:1;min-width:0}
+.alert-time{font-size:11px;opacity:.7;white-space:nowrap}
+.alert-x{background:none;border:none;color:inherit;font-size:15px;cursor:pointer;padding:0 4px;opacity:.7}
+.alert-x:hover{opacity:1}
 
 /* ── Layout ─────────────────────────────────────────────────────── */
 .main{display:grid;grid-template-columns:290px 1fr;flex:1;min-height:0}
@@ -390,10 +2860,12 @@ select.session-pick:focus{outline:1px solid var(--accent);border-color:var(--acc
 .stat-l{font-size:10px;text-transform:uppercase;letter-spacing:.07em;color:var(--muted);margin-bottom:4px}
 .stat-v{font-size:22px;font-weight:800;line-height:1}
 .stat-s{font-size:11px;color:var(--muted2);margin-top:3px}
+.stat-box.wide{grid-column:1 / -1}
 .c-input{color:var(--blue)}
 .c-cread{color:var(--cyan)}
 .c-cwrite{color:var(--purple)}
 .c-out{color:var(--accent2)}
+.c-cost{color:var(--warn)}
 
 /* ── Right panel ────────────────────────────────────────────────── */
 .right{overflow-y:auto;padding:0;background:var(--bg)}
@@ -503,6 +2975,7 @@ select.session-pick:focus{outline:1px solid var(--accent);border-color:var(--acc
   margin-bottom:3px;
 }
 .tok-unit{font-size:11px;color:var(--muted);margin-bottom:10px}
+.tok-cost{font-size:13px;font-weight:700;color:var(--warn);margin:-4px 0 10px}
 .tok-rows{display:flex;flex-direction:column;gap:5px;margin-bottom:10px}
 .tok-row{display:flex;justify-content:space-between;align-items:center;font-size:11px;gap:6px}
 .tok-k{color:var(--muted);flex-shrink:0}
@@ -518,6 +2991,147 @@ select.session-pick:focus{outline:1px solid var(--accent);border-color:var(--acc
   padding-top:7px;
   margin-top:8px;
 }
+details.calls summary{cursor:pointer;list-style:none}
+details.calls summary::-webkit-details-marker{display:none}
+details.calls summary::before{content:'▸ '}
+details.calls[open] summary::before{content:'▾ '}
+.call-row{display:grid;grid-template-columns:22px 1fr auto;gap:4px;padding:3px 0;font-size:10px;color:var(--text2)}
+.call-row+.call-row{border-top:1px dashed var(--border)}
+.call-n{color:var(--muted2)}
+.call-tools{overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+.call-tok{text-align:right;font-weight:700;white-space:nowrap}
+.tool-chips{display:flex;flex-wrap:wrap;gap:4px;margin-top:8px}
+.chip{
+  font-size:10px;
+  padding:1px 6px;
+  border-radius:3px;
+  background:var(--s3);
+  border:1px solid var(--border);
+  color:var(--text2);
+}
+.badge-agent{font-size:9px;padding:0 4px;border-radius:3px;border:1px solid #6d28d9;background:#2e1065;color:#ddd6fe;margin-right:3px}
+.split-row{font-size:10px;color:var(--muted);margin-top:6px}
+.badge-miss{font-size:10px;font-weight:700;padding:1px 6px;border-radius:3px;background:#450a0a;color:#fca5a5;border:1px solid #b91c1c;flex-shrink:0}
+.call-tools .badge-miss{font-size:9px;font-weight:400;padding:0 4px;margin-right:3px}
+.miss-list{margin-top:8px;border-top:1px solid var(--border);padding-top:6px}
+.miss-row{display:grid;grid-template-columns:auto 1fr auto;gap:8px;font-size:11px;color:var(--text2);padding:3px 0;cursor:pointer}
+.miss-row:hover{color:var(--text)}
+.miss-cause{color:var(--muted);overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+.timeline .mmark{fill:var(--danger);stroke:var(--bg);stroke-width:1}
+
+/* turn detail drawer */
+.turn-row{cursor:pointer}
+.turn-row:hover .tc-prompt,.turn-row:hover .tc-output{background-color:rgba(255,255,255,.025)}
+#drawer-bg{position:fixed;inset:0;background:rgba(0,0,0,.45);z-index:20;display:none}
+#drawer{
+  position:fixed;
+  top:0;
+  right:0;
+  bottom:0;
+  width:min(900px,92vw);
+  background:var(--bg);
+  border-left:2px solid var(--b2);
+  z-index:21;
+  display:none;
+  flex-direction:column;
+}
+body.drawer-open #drawer-bg{display:block}
+body.drawer-open #drawer{display:flex}
+.dr-head{
+  display:flex;
+  align-items:center;
+  gap:10px;
+  padding:11px 16px;
+  background:var(--surface);
+  border-bottom:1px solid var(--border);
+}
+.dr-title{font-weight:800;color:var(--text)}
+.dr-sub{font-size:11px;color:var(--muted);flex:1}
+.dr-body{overflow-y:auto;padding:14px 16px;display:flex;flex-direction:column;gap:14px}
+.dr-pre{
+  white-space:pre-wrap;
+  word-break:break-word;
+  font-size:12px;
+  line-height:1.6;
+  background:var(--surface);
+  border:1px solid var(--border);
+  border-radius:6px;
+  padding:10px 12px;
+  max-height:420px;
+  overflow:auto;
+}
+.dr-pre.json{font-size:11px;color:var(--text2)}
+.dr-call{border:1px solid var(--border);border-radius:7px;background:var(--surface);padding:10px 12px;display:flex;flex-direction:column;gap:8px}
+.dr-call-head{display:flex;flex-wrap:wrap;gap:6px 14px;font-size:11px;color:var(--muted)}
+.dr-call-head strong{color:var(--text)}
+.dr-block-label{font-size:10px;text-transform:uppercase;letter-spacing:.1em;color:var(--muted);margin-bottom:4px}
+.dr-tool{border-left:3px solid var(--blue);padding-left:10px}
+.dr-tool.err{border-left-color:var(--danger)}
+.dr-call details summary,.dr-body > details summary{cursor:pointer;font-size:11px;color:var(--muted)}
+
+/* filter bar */
+.filters{
+  display:flex;
+  flex-wrap:wrap;
+  align-items:center;
+  gap:8px 12px;
+  padding:9px 14px;
+  background:var(--surface);
+  border-bottom:1px solid var(--border);
+  font-size:11px;
+  color:var(--muted);
+}
+.filters label{display:flex;align-items:center;gap:4px;white-space:nowrap}
+.filters input,.filters select{
+  background:var(--s2);
+  border:1px solid var(--border);
+  color:var(--text);
+  font-family:inherit;
+  font-size:11px;
+  padding:4px 6px;
+  border-radius:4px;
+}
+.filters input[type=number]{width:80px}
+.fc-at{
+  background:var(--s2);
+  border:1px solid var(--border);
+  color:var(--text);
+  font-family:inherit;
+  font-size:11px;
+  padding:1px 4px;
+  border-radius:4px;
+}
+.fc-at:focus{outline:1px solid var(--accent);border-color:var(--accent)}
+#forecast:empty{display:none}
+.filters input:focus,.filters select:focus{outline:1px solid var(--accent);border-color:var(--accent)}
+.filters .f-q{flex:1;min-width:220px}
+mark{background:rgba(251,191,36,.35);color:var(--text);border-radius:2px}
+.result{padding:12px 14px;border-bottom:1px solid var(--border);cursor:pointer;border-left:3px solid var(--user)}
+.result:hover{background:var(--s2)}
+.result-resp{color:var(--text2);margin-top:6px;border-left:2px solid var(--accent);padding-left:8px}
+
+/* context timeline */
+.timeline{border-bottom:2px solid var(--b2);background:var(--surface)}
+.timeline summary{
+  padding:8px 14px;
+  font-size:10px;
+  font-weight:700;
+  text-transform:uppercase;
+  letter-spacing:.14em;
+  color:var(--muted);
+  cursor:pointer;
+}
+.timeline summary span{text-transform:none;letter-spacing:0;font-weight:400;margin-left:8px}
+.timeline-body{padding:0 14px 10px}
+.timeline svg{display:block;width:100%;height:auto}
+.timeline .axis{fill:var(--muted2);font-size:10px;font-family:inherit}
+.timeline .hit{fill:transparent;cursor:pointer}
+.timeline .hit:hover{fill:rgba(255,255,255,.08)}
+.timeline .cmark{stroke:#fcd34d;stroke-width:1.5;stroke-dasharray:3 3}
+.timeline .clabel{fill:#fcd34d;font-size:10px;font-family:inherit}
+.timeline .limit{stroke:var(--danger);stroke-width:1;stroke-dasharray:6 4;opacity:.7}
+.turn-row.flash .tc{animation:flash 1.6s ease}
+@keyframes flash{0%,40%{background-color:rgba(251,191,36,.18)}100%{background-color:transparent}}
 
 /* pagination bar */
 .pager{
@@ -551,6 +3165,46 @@ select.session-pick:focus{outline:1px solid var(--accent);border-color:var(--acc
   color:var(--accent);
 }
 .pager-btn:disabled{opacity:.3;cursor:default}
+a.pager-btn{text-decoration:none}
+
+/* overview */
+.ov-wrap{padding:14px;display:flex;flex-direction:column;gap:14px}
+.ov-chart svg{display:block;width:100%;height:auto}
+.ov-chart .axis{fill:var(--muted2);font-size:10px;font-family:inherit}
+.ov-legend{display:flex;gap:14px;margin-top:8px;font-size:11px;color:var(--text2)}
+.ov-legend span{display:flex;align-items:center;gap:5px}
+.ov-legend .bl-dot{display:inline-block}
+.ov-table{width:100%;border-collapse:collapse;font-size:12px}
+.ov-table th{
+  text-align:left;
+  font-size:10px;
+  font-weight:700;
+  text-transform:uppercase;
+  letter-spacing:.1em;
+  color:var(--muted);
+  padding:6px 8px;
+  border-bottom:1px solid var(--b2);
+}
+.ov-table td{padding:7px 8px;border-bottom:1px solid var(--border);color:var(--text2)}
+.ov-table td.num,.ov-table th.num{text-align:right}
+.ov-table tr.link{cursor:pointer}
+.ov-table tr.link:hover td{background:var(--s2);color:var(--text)}
+.ov-dl{float:right;text-transform:none;letter-spacing:0;font-weight:400}
+.ov-dl a{color:var(--accent)}
+.ov-table tr.br-repo td{color:var(--text);font-weight:700;background:var(--s2)}
+.ov-table tr.br-repo .muted{font-weight:400}
+.ov-table td.br-name{padding-left:22px;color:var(--purple)}
+.ov-table .muted{color:var(--muted2)}
+.wn-bar{background:var(--s3);border-radius:3px;height:6px;min-width:80px;overflow:hidden}
+.wn-bar i{display:block;height:100%;background:var(--accent)}
+.badge-archived{font-size:9px;padding:0 4px;border-radius:3px;border:1px solid var(--border);color:var(--muted)}
+.cmp-pick .irow{cursor:pointer}
+.cmp-pick .ik{display:flex;align-items:center;gap:6px;min-width:0}
+.cmp-pick .ik input{accent-color:var(--accent)}
+.cmp-pick .iv{font-weight:400;font-size:11px;color:var(--muted2);white-space:nowrap}
+.cmp-diff{font-size:10px;color:var(--muted)}
+.cmp-diff.good{color:var(--accent2)}
+.cmp-diff.bad{color:var(--danger)}
 
 /* empty state */
 .empty{text-align:center;color:var(--muted);padding:60px 20px}
@@ -568,13 +3222,36 @@ select.session-pick:focus{outline:1px solid var(--accent);border-color:var(--acc
 <header>
   <div class="logo">⟩_ <span>Claude Code</span> Token Dashboard</div>
   <div class="hdr-right">
-    <select class="session-pick" id="sp" onchange="switchSession(this.value)">
-      <option>Loading sessions…</option>
-    </select>
+    <button class="mode-btn" id="nb" onclick="enableNotifications()" style="display:none" title="Get a desktop notification when a budget is exceeded">🔔 Enable alerts</button>
+    <button class="mode-btn" id="ovb" onclick="toggleOverview()">Overview</button>
+    <button class="mode-btn" id="brb" onclick="toggleBranches()" title="Usage by repository and git branch">Branches</button>
+    <button class="mode-btn" id="wnb" onclick="toggleWindows()" title="Rolling 5-hour usage windows across all sessions">Windows</button>
+    <button class="mode-btn" id="cmpb" onclick="toggleCompare()">Compare</button>
+    <div class="sb" id="sb">
+      <button class="session-pick" id="sp" onclick="toggleBrowser()" title="Choose a session">Loading sessions…</button>
+      <div class="sb-pop">
+        <input class="sb-search" id="sb-q" placeholder="Search prompt, folder, branch, model…"
+          oninput="browserHl=0;renderBrowser()" onkeydown="browserKey(event)" autocomplete="off" spellcheck="false">
+        <div class="sb-list" id="sb-list"></div>
+      </div>
+    </div>
+    <label class="follow" title="Switch automatically to the session that was written most recently">
+      <input type="checkbox" id="follow" onchange="setFollowLatest(this.checked)"> Follow latest
+    </label>
     <div class="live"><div class="dot" id="dot"></div><span id="st">Connecting</span></div>
     <span class="ts" id="ts"></span>
   </div>
 </header>
+<div id="alerts"></div>
+<div id="drawer-bg" onclick="closeDetail()"></div>
+<aside id="drawer">
+  <div class="dr-head">
+    <span class="dr-title" id="dr-title">Turn</span>
+    <span class="dr-sub" id="dr-sub"></span>
+    <button class="alert-x" onclick="closeDetail()" title="Close (Esc)">×</button>
+  </div>
+  <div class="dr-body" id="dr-body"></div>
+</aside>
 
 <div class="main">
   <div class="left" id="left">
@@ -588,83 +3265,770 @@ select.session-pick:focus{outline:1px solid var(--accent);border-color:var(--acc
 <script>
 /* ─── utils ─── */
 const $ = id => document.getElementById(id);
-const esc = s => s.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
-const fmt = n => n >= 1000 ? (n/1000).toFixed(1)+'k' : String(n);
+// Also quotes: paths, branches and repositories end up in attribute values
+const esc = s => s.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;');
+const fmt = n => n >= 1e6 ? (n/1e6).toFixed(2)+'M' : n >= 1000 ? (n/1000).toFixed(1)+'k' : String(n);
+const fmtLimit = n => n >= 1e6 ? +(n/1e6).toFixed(2)+'M' : +(n/1000).toFixed(1)+'k';
+const usd = n => '$' + (n > 0 && n < 0.01 ? n.toFixed(4) : n.toFixed(2));
+
+const C = { input:'#3b82f6', cread:'#06b6d4', cwrite:'#8b5cf6', output:'#10b981' };
+
+/* ─── state ─── */
+let evtSource   = null;
+let activePath  = null;
+let currentPage = 0;
+let lastData    = null;
+let mode        = 'session'; // 'session' | 'overview' | 'branches' | 'windows' | 'compare'
+let sessionList = [];
+let overviewTimer = null;
+const PAGE_SIZE = ${CONFIG.pageSize};
+const AUTO_COMPACT_PCT = ${CONFIG.autoCompactPct};
+const CONTEXT_ALERT_PCT = ${ALERTS.contextPct ?? DEFAULT_ALERTS.contextPct}; // the bar turns red where the contextPct alert fires
+let forecastAt   = null;     // "HH:MM" the forecast projects cost to; null = an hour from now
+const alerts    = new Map(); // id → alert shown in the banner
+let timelineOpen = true;
+let filters      = defaultFilters();
+let globalResults = null;    // { q, results } while showing /api/search hits
+let pendingJump   = null;    // { path, num } to show once that session loads
+let followLatest  = (() => { try { return !!localStorage.getItem('followLatest'); } catch (_) { return false; } })();
+let chartExs     = [];       // main-thread exchanges plotted in the timeline
+const BASE_TITLE = document.title;
+
+/* ─── bootstrap ─── */
+connect(null);
+setInterval(refreshForecast, 30000); // the burn rate and idle state move with the clock
+if (window.Notification && Notification.permission === 'default') $('nb').style.display = '';
+$('follow').checked = followLatest;
+
+function connect(sessionPath, compare) {
+  if (evtSource) evtSource.close();
+  activePath = sessionPath;
+  const u = compare
+    ? '/events?' + compare.map(p => 'compare=' + encodeURIComponent(p)).join('&')
+    : '/events' + (sessionPath ? '?path=' + encodeURIComponent(sessionPath) : '');
+  evtSource = new EventSource(u);
+
+  evtSource.onopen = () => {
+    $('dot').className = 'dot';
+    $('st').textContent = 'Live';
+  };
+
+  evtSource.onmessage = e => {
+    const msg = JSON.parse(e.data);
+    if (msg.type === 'sessions') {
+      renderSessionList(msg.sessions);
+      // A session changed, so the active window did too; at most every 10 s, as this arrives every second while one is written
+      if (mode === 'windows' && Date.now() - windowsLoadedAt > 10000) loadWindows();
+    } else if (msg.type === 'alert') {
+      showAlert(msg.alert, !msg.replay);
+    } else if (compare) {
+      onCompareMessage(msg);
+    } else if (msg.path && msg.path !== activePath) {
+      // left over from a previous subscription
+    } else if (msg.type === 'init' || msg.type === 'update') {
+      renderAll(msg.data);
+      $('ts').textContent = new Date().toLocaleTimeString();
+    } else if (msg.type === 'delta' && lastData) {
+      // Replace everything from msg.from onwards with the new tail
+      lastData.exchanges.splice(msg.from, Infinity, ...msg.exchanges);
+      Object.assign(lastData, msg.meta);
+      renderAll(lastData);
+      $('ts').textContent = new Date().toLocaleTimeString();
+    }
+  };
+
+  evtSource.onerror = () => {
+    $('dot').className = 'dot off';
+    $('st').textContent = 'Reconnecting…';
+  };
+}
+
+/* ─── alerts ─── */
+function enableNotifications() {
+  Notification.requestPermission().then(p => { if (p !== 'default') $('nb').style.display = 'none'; });
+}
+
+function showAlert(a, notify) {
+  if (alerts.has(a.id)) return;
+  alerts.set(a.id, a);
+  renderAlerts();
+  if (notify && window.Notification && Notification.permission === 'granted') {
+    new Notification(a.title, { body: a.message, tag: a.id });
+  }
+}
+
+function dismissAlert(id) {
+  alerts.delete(id);
+  renderAlerts();
+}
+
+function renderAlerts() {
+  $('alerts').innerHTML = [...alerts.values()].map(a => \`
+    <div class="alert-bar \${a.level}">
+      <strong>⚠ \${esc(a.title)}</strong>
+      <span class="alert-msg">\${esc(a.message)}</span>
+      <span class="alert-time">\${new Date(a.at).toLocaleTimeString()}</span>
+      <button class="alert-x" data-id="\${esc(a.id)}" onclick="dismissAlert(this.dataset.id)" title="Dismiss">×</button>
+    </div>\`).join('');
+  // Keep the warning visible from a background tab
+  document.title = alerts.size ? \`⚠ (\${alerts.size}) \${BASE_TITLE}\` : BASE_TITLE;
+}
+
+function switchSession(p) {
+  if (!p) return;
+  currentPage = 0;
+  filters = defaultFilters();
+  globalResults = null;
+  if ($('filters')) $('right').innerHTML = '';
+  if (mode !== 'session') setMode('session');
+  connect(p);
+  renderPickerButton();
+}
+
+function renderSessionList(sessions) {
+  sessionList = sessions;
+  if (mode === 'compare') renderComparePicker();
+  renderPickerButton();
+  if (browserOpen()) renderBrowser();
+  if (!sessions.length) { $('sp').textContent = 'No sessions found'; return; }
+  // Follow mode: jump to whichever session was written most recently
+  if (!activePath || (followLatest && mode === 'session' && sessions[0].path !== activePath)) {
+    switchSession(sessions[0].path);
+  }
+}
+
+/* ─── session browser ─── */
+const MAX_BROWSER_ROWS = 200;
+let browserHl = 0; // highlighted row, for keyboard selection
+
+/* Last part of the session's working directory, or its project folder name. */
+const folderName = s => s.cwd ? s.cwd.split(/[\\\\/]/).filter(Boolean).pop() || s.cwd : s.project;
+const fmtDur = ms => ms >= 86400000 ? Math.floor(ms / 86400000) + 'd ' + Math.round(ms % 86400000 / 3600000) + 'h' : fmtGap(ms);
+
+function renderPickerButton() {
+  const s = sessionList.find(x => x.path === activePath);
+  $('sp').textContent = s ? folderName(s) + ' · ' + (s.title || s.sessionId.slice(0, 8) + '…') : 'Choose a session';
+  $('sp').title = s ? [s.cwd || s.project, s.gitBranch && 'branch ' + s.gitBranch, s.title].filter(Boolean).join('\\n') : 'Choose a session';
+}
+
+const browserOpen = () => $('sb').classList.contains('open');
+
+function toggleBrowser(open = !browserOpen()) {
+  $('sb').classList.toggle('open', open);
+  if (!open) return;
+  $('sb-q').value = '';
+  browserHl = 0;
+  renderBrowser();
+  $('sb-q').focus();
+}
+
+/* Sessions matching every word of the search box, in picker order. */
+function browserMatches() {
+  const words = $('sb-q').value.toLowerCase().split(/\\s+/).filter(Boolean);
+  return sessionList.filter(s => {
+    const hay = [s.title, s.cwd, s.project, s.gitBranch, s.model, s.sessionId].filter(Boolean).join(' ').toLowerCase();
+    return words.every(w => hay.includes(w));
+  });
+}
+
+/* Sessions as the browser lists them: grouped by working directory, groups ordered by their latest session. */
+function browserGroups(matches) {
+  const groups = new Map();
+  for (const s of matches.slice(0, MAX_BROWSER_ROWS)) {
+    const key = s.cwd || s.project;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(s);
+  }
+  return groups;
+}
+
+/* Rows in display order, which the arrow keys and Enter follow. */
+const browserRows = () => [...browserGroups(browserMatches()).values()].flat();
+
+function renderBrowser() {
+  const matches = browserMatches();
+  const shown   = matches.slice(0, MAX_BROWSER_ROWS);
+  browserHl = Math.min(browserHl, Math.max(shown.length - 1, 0));
+  let n = 0;
+  const groups = [...browserGroups(matches)].map(([dir, list]) => [dir, list.map(s => ({ s, i: n++ }))]);
+  $('sb-list').innerHTML = !shown.length
+    ? '<div class="sb-empty">No sessions match</div>'
+    : groups.map(([dir, rows]) => \`
+      <div class="sb-group"><span title="\${esc(dir)}">\${esc(dir)}</span><span>\${rows.length}</span></div>
+      \${rows.map(({ s, i }) => \`
+        <div class="sb-item\${s.path === activePath ? ' cur' : ''}\${i === browserHl ? ' hl' : ''}" data-i="\${i}" data-path="\${esc(s.path)}"
+          onclick="pickSession(this.dataset.path)" onmouseenter="browserHl=+this.dataset.i">
+          <div class="sb-title\${s.title ? '' : ' none'}">\${esc(s.title || 'No prompt yet · ' + s.sessionId.slice(0, 8))}</div>
+          <div class="sb-meta">
+            \${s.gitBranch ? \`<span class="br">⎇ \${esc(s.gitBranch)}</span>\` : ''}
+            \${s.model ? \`<span>\${esc(s.model.replace(/^claude-/, ''))}</span>\` : ''}
+            <span>\${fmt(s.totalTokens || 0)} tok</span>
+            \${s.durationMs ? \`<span>\${fmtDur(s.durationMs)}</span>\` : ''}
+            <span>\${esc(s.mtime)}</span>
+          </div>
+        </div>\`).join('')}\`).join('')
+      + (matches.length > shown.length ? \`<div class="sb-empty">\${matches.length - shown.length} more · refine the search</div>\` : '');
+}
+
+function pickSession(p) {
+  toggleBrowser(false);
+  if (p !== activePath || mode !== 'session') switchSession(p);
+}
+
+function browserKey(e) {
+  const rows = browserRows();
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    browserHl = Math.max(0, Math.min(rows.length - 1, browserHl + (e.key === 'ArrowDown' ? 1 : -1)));
+    renderBrowser();
+    document.querySelector('.sb-item.hl')?.scrollIntoView({ block: 'nearest' });
+  } else if (e.key === 'Enter' && rows.length) {
+    pickSession(rows[browserHl].path);
+  } else if (e.key === 'Escape') {
+    toggleBrowser(false);
+  }
+}
+
+document.addEventListener('click', e => { if (browserOpen() && !$('sb').contains(e.target)) toggleBrowser(false); });
+
+function setFollowLatest(on) {
+  followLatest = on;
+  try { localStorage.setItem('followLatest', on ? '1' : ''); } catch (_) {}
+  // Catch up now rather than at the next session list push
+  if (on && mode === 'session' && sessionList.length && sessionList[0].path !== activePath) switchSession(sessionList[0].path);
+}
+
+/* ─── render ─── */
+function renderAll(d) {
+  lastData = d;
+  if (mode !== 'session') return;
+  renderLeft(d); renderRight(d);
+  if (pendingJump && pendingJump.path === activePath) {
+    const { num } = pendingJump;
+    pendingJump = null;
+    jumpToTurn(num);
+  }
+}
+
+/* ─── overview mode ─── */
+function toggleOverview() { setMode(mode === 'overview' ? 'session' : 'overview'); }
+
+function setMode(m) {
+  const prev = mode;
+  mode = m;
+  $('ovb').classList.toggle('active', m === 'overview');
+  $('brb').classList.toggle('active', m === 'branches');
+  $('wnb').classList.toggle('active', m === 'windows');
+  $('cmpb').classList.toggle('active', m === 'compare');
+  clearInterval(overviewTimer);
+  if (m === 'compare') {
+    if (!comparePaths.length) comparePaths = sessionList.slice(0, 2).map(s => s.path);
+    if (activePath && !comparePaths.includes(activePath)) comparePaths.unshift(activePath);
+    comparePaths = comparePaths.slice(0, MAX_COMPARE);
+    compareData.clear();
+    renderComparePicker();
+    renderCompare();
+    connect(activePath, comparePaths);
+    return;
+  }
+  // Back on the single-session stream after comparing
+  if (prev === 'compare') connect(activePath);
+  if (m === 'overview') {
+    loadOverview();
+    overviewTimer = setInterval(loadOverview, 30000);
+  } else if (m === 'branches') {
+    loadAttribution();
+    overviewTimer = setInterval(loadAttribution, 30000);
+  } else if (m === 'windows') {
+    loadWindows();
+    overviewTimer = setInterval(loadWindows, 30000);
+  } else if (lastData) {
+    renderAll(lastData);
+  }
+}
+
+/* ─── compare mode ─── */
+const MAX_COMPARE = ${MAX_COMPARE};
+const CMP_COLORS  = ['#60a5fa', '#f472b6', '#fbbf24', '#34d399', '#c084fc', '#22d3ee'];
+// By place in the picked list, so a session keeps its colour while another is still loading
+const cmpColor = p => CMP_COLORS[comparePaths.indexOf(p)];
+let comparePaths  = [];
+const compareData = new Map(); // path → session data
+
+function toggleCompare() { setMode(mode === 'compare' ? 'session' : 'compare'); }
+
+function onCompareMessage(msg) {
+  if (!msg.path) return;
+  if (msg.type === 'init' || msg.type === 'update') {
+    compareData.set(msg.path, msg.data);
+  } else if (msg.type === 'delta') {
+    const d = compareData.get(msg.path);
+    if (!d) return;
+    d.exchanges.splice(msg.from, Infinity, ...msg.exchanges);
+    Object.assign(d, msg.meta);
+  } else {
+    return;
+  }
+  $('ts').textContent = new Date().toLocaleTimeString();
+  if (mode === 'compare') renderCompare();
+}
+
+function toggleComparePath(p, on) {
+  comparePaths = comparePaths.filter(x => x !== p);
+  if (on) comparePaths.push(p);
+  if (comparePaths.length > MAX_COMPARE) comparePaths.shift();
+  for (const k of [...compareData.keys()]) if (!comparePaths.includes(k)) compareData.delete(k);
+  renderComparePicker();
+  renderCompare();
+  connect(activePath, comparePaths);
+}
+
+function sessionLabel(p) {
+  const s = sessionList.find(x => x.path === p);
+  return s ? \`\${folderName(s)} / \${s.sessionId.slice(0, 8)}…\` : p.split(/[\\\\/]/).pop();
+}
+
+function renderComparePicker() {
+  $('left').innerHTML = \`
+    <div>
+      <div class="panel-label">Compare Sessions · pick up to \${MAX_COMPARE}</div>
+      <div class="card cmp-pick">
+        \${sessionList.slice(0, 60).map(s => {
+          const i = comparePaths.indexOf(s.path);
+          return \`<label class="irow">
+            <span class="ik"><input type="checkbox" data-path="\${esc(s.path)}" \${i >= 0 ? 'checked' : ''}
+              onchange="toggleComparePath(this.dataset.path, this.checked)">
+              \${i >= 0 ? \`<i class="bl-dot" style="background:\${cmpColor(s.path)}"></i>\` : ''}
+              \${esc(s.project)} / \${esc(s.sessionId.slice(0, 8))}…</span>
+            <span class="iv">\${esc(s.mtime)}</span>
+          </label>\`;
+        }).join('')}
+      </div>
+    </div>\`;
+}
+
+function sessionMetrics(d) {
+  const t = d.totals;
+  const sent = t.input + t.cacheRead + t.cacheCreated;
+  const turns = groupTurns(d.exchanges).length;
+  const mainExs = d.exchanges.filter(ex => !ex.isSidechain);
+  return {
+    total:       sent + t.output,
+    sent,
+    output:      t.output,
+    cost:        t.cost,
+    cacheHit:    (t.cacheRead + t.cacheCreated) ? t.cacheRead / (t.cacheRead + t.cacheCreated) * 100 : 0,
+    avgOut:      d.exchanges.length ? Math.round(t.output / d.exchanges.length) : 0,
+    exchanges:   d.exchanges.length,
+    turns,
+    costPerTurn: turns ? t.cost / turns : 0,
+    peakCtx:     Math.max(0, ...mainExs.map(ex => ex.totalContext)),
+    compactions: d.compactCount,
+  };
+}
+
+/* [key, label, format, which direction is better] */
+const COMPARE_METRICS = [
+  ['total',       'Total tokens',          fmt,                      'lower'],
+  ['sent',        'Input sent (incl. cache)', fmt,                   'lower'],
+  ['output',      'Output tokens',         fmt,                      'lower'],
+  ['cost',        'Estimated cost',        usd,                      'lower'],
+  ['cacheHit',    'Cache hit rate',        v => v.toFixed(1) + '%',  'higher'],
+  ['avgOut',      'Avg output / exchange', fmt,                      null],
+  ['exchanges',   'Exchanges',             String,                   null],
+  ['turns',       'Turns',                 String,                   null],
+  ['costPerTurn', 'Cost / turn',           usd,                      'lower'],
+  ['peakCtx',     'Peak context',          fmt,                      'lower'],
+  ['compactions', 'Compactions',           String,                   'lower'],
+];
+
+function renderCompare() {
+  const paths = comparePaths.filter(p => compareData.has(p));
+  if (paths.length < 2) {
+    $('right').innerHTML = \`<div class="empty"><h2>Compare sessions</h2><p>\${
+      comparePaths.length < 2 ? 'Tick at least two sessions on the left.' : 'Loading…'}</p></div>\`;
+    return;
+  }
+  const metrics = paths.map(p => sessionMetrics(compareData.get(p)));
+  const base = metrics[0];
+
+  const rows = COMPARE_METRICS.map(([key, label, f, better]) => \`
+    <tr>
+      <td>\${label}</td>
+      \${metrics.map((m, i) => {
+        let diff = '';
+        if (i > 0 && base[key]) {
+          const pct = (m[key] - base[key]) / base[key] * 100;
+          const cls = !better || Math.abs(pct) < 0.05 ? '' : (pct < 0) === (better === 'lower') ? 'good' : 'bad';
+          diff = \` <span class="cmp-diff \${cls}">\${pct >= 0 ? '+' : ''}\${pct.toFixed(1)}%</span>\`;
+        }
+        return \`<td class="num">\${f(m[key])}\${diff}</td>\`;
+      }).join('')}
+    </tr>\`).join('');
+
+  $('right').innerHTML = \`
+    <div class="ov-wrap">
+      <div>
+        <div class="panel-label">Key Metrics · differences relative to the first session</div>
+        <div class="card">
+          <table class="ov-table">
+            <tr><th>Metric</th>\${paths.map(p => \`
+              <th class="num"><i class="bl-dot" style="display:inline-block;background:\${cmpColor(p)}"></i>
+                \${esc(sessionLabel(p))}<br><span style="text-transform:none;letter-spacing:0;font-weight:400">\${esc(compareData.get(p).model || '—')}</span></th>\`).join('')}</tr>
+            \${rows}
+          </table>
+        </div>
+      </div>
+      <div>
+        <div class="panel-label">Context Growth · main thread, per exchange</div>
+        <div class="card ov-chart">\${compareChart(paths)}</div>
+      </div>
+    </div>\`;
+}
+
+/* Overlaid totalContext lines, one per session. */
+function compareChart(paths) {
+  const W = 760, H = 220, padL = 46, padR = 10, padT = 10, padB = 20;
+  const series = paths.map(p => compareData.get(p).exchanges.filter(ex => !ex.isSidechain).map(ex => ex.totalContext));
+  const n   = Math.max(2, ...series.map(s => s.length));
+  const max = Math.max(1, ...series.flat());
+  const x = i => padL + i / (n - 1) * (W - padL - padR);
+  const y = v => H - padB - v / (max * 1.08) * (H - padB - padT);
+  const lines = series.map((s, i) => \`<polyline fill="none" stroke="\${cmpColor(paths[i])}" stroke-width="1.8"
+    points="\${s.map((v, j) => x(j).toFixed(1) + ',' + y(v).toFixed(1)).join(' ')}"><title>\${esc(sessionLabel(paths[i]))}</title></polyline>\`).join('');
+  return \`
+    <svg viewBox="0 0 \${W} \${H}">
+      <text class="axis" x="\${padL - 6}" y="\${y(max) + 4}" text-anchor="end">\${fmt(max)}</text>
+      <text class="axis" x="\${padL - 6}" y="\${H - padB}" text-anchor="end">0</text>
+      <text class="axis" x="\${W - padR}" y="\${H - 5}" text-anchor="end">exchange \${n}</text>
+      <line x1="\${padL}" y1="\${H - padB}" x2="\${W - padR}" y2="\${H - padB}" stroke="var(--border)"></line>
+      \${lines}
+    </svg>
+    <div class="ov-legend">\${paths.map(p => \`<span><i class="bl-dot" style="background:\${cmpColor(p)}"></i>\${esc(sessionLabel(p))}</span>\`).join('')}</div>\`;
+}
+
+async function loadOverview() {
+  try {
+    const ov = await (await fetch('/api/overview')).json();
+    if (mode === 'overview') renderOverview(ov);
+  } catch (_) {}
+}
+
+function bucketRows(list, keyName) {
+  if (!list.length) return '<div class="irow"><span class="ik">No data</span></div>';
+  return list.map(b => \`
+    <div class="irow">
+      <span class="ik">\${esc(String(b[keyName]))}</span>
+      <span class="iv">\${fmt(b.total)} · \${usd(b.cost)}</span>
+    </div>\`).join('');
+}
+
+function renderOverview(ov) {
+  const t = ov.totals;
+  const cacheHit = (t.cacheRead + t.cacheCreated) > 0
+    ? Math.round(t.cacheRead / (t.cacheRead + t.cacheCreated) * 100) : 0;
+
+  $('left').innerHTML = \`
+    <div>
+      <div class="panel-label">All Sessions</div>
+      <div class="stat-grid">
+        <div class="stat-box">
+          <div class="stat-l">Total Input</div>
+          <div class="stat-v c-input">\${fmt(t.input + t.cacheRead + t.cacheCreated)}</div>
+          <div class="stat-s">\${ov.sessions} sessions\${ov.archivedSessions ? \` · \${ov.archivedSessions} archived\` : ''}</div>
+        </div>
+        <div class="stat-box">
+          <div class="stat-l">Total Output</div>
+          <div class="stat-v c-out">\${fmt(t.output)}</div>
+          <div class="stat-s">\${t.exchanges.toLocaleString()} exchanges</div>
+        </div>
+        <div class="stat-box">
+          <div class="stat-l">Cache Hit Rate</div>
+          <div class="stat-v c-cread">\${cacheHit}%</div>
+          <div class="stat-s">read vs written</div>
+        </div>
+        <div class="stat-box">
+          <div class="stat-l">Est. Cost</div>
+          <div class="stat-v c-cost">\${usd(t.cost)}</div>
+          <div class="stat-s">list prices</div>
+        </div>
+      </div>
+    </div>
+    <div>
+      <div class="panel-label">By Model</div>
+      <div class="card">\${bucketRows(ov.byModel, 'model')}</div>
+    </div>
+    <div>
+      <div class="panel-label">By Project</div>
+      <div class="card">\${bucketRows(ov.byProject, 'project')}</div>
+    </div>
+  \`;
+
+  const days = ov.byDay.slice(-30);
+  $('right').innerHTML = \`
+    <div class="ov-wrap">
+      <div>
+        <div class="panel-label">Daily Usage · last \${days.length} active days
+          <span class="ov-dl">Full history: <a href="/api/history?format=csv">CSV</a> · <a href="/api/history?format=json">JSON</a></span></div>
+        <div class="card ov-chart">\${days.length ? dailyChart(days) : '<div class="no-content">No usage yet</div>'}</div>
+      </div>
+      <div>
+        <div class="panel-label">Top Sessions</div>
+        <div class="card">
+          <table class="ov-table">
+            <tr><th>Project / Session</th><th>Model</th><th>Last active</th><th class="num">Tokens</th><th class="num">Cost</th></tr>
+            \${ov.topSessions.map(s => \`
+              \${s.archived
+                ? \`<tr title="Session file deleted · from the usage ledger">\`
+                : \`<tr class="link" data-path="\${esc(s.path)}" onclick="switchSession(this.dataset.path)">\`}
+                <td>\${esc(s.project)} / \${esc(s.sessionId.slice(0, 8))}…\${s.archived ? ' <span class="badge-archived">archived</span>' : ''}</td>
+                <td>\${esc(s.model || '—')}</td>
+                <td>\${s.lastTs ? new Date(s.lastTs).toLocaleString() : '—'}</td>
+                <td class="num">\${fmt(s.total)}</td>
+                <td class="num">\${usd(s.cost)}</td>
+              </tr>\`).join('')}
+          </table>
+        </div>
+      </div>
+    </div>
+  \`;
+}
+
+/* ─── branches mode ─── */
+let attrRange = { from: '', to: '' }; // YYYY-MM-DD, inclusive; empty = unbounded
+
+function toggleBranches() { setMode(mode === 'branches' ? 'session' : 'branches'); }
+
+const attrQuery = () => new URLSearchParams(Object.entries(attrRange).filter(([, v]) => v)).toString();
+
+async function loadAttribution() {
+  try {
+    const at = await (await fetch('/api/attribution?' + attrQuery())).json();
+    if (mode === 'branches') renderAttribution(at);
+  } catch (_) {}
+}
+
+function setAttrRange(from, to) {
+  attrRange = { from, to };
+  loadAttribution();
+}
+
+/* Range covering the last n days, today included. */
+function lastDays(n) {
+  const day = d => new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+  const now = new Date();
+  setAttrRange(day(new Date(now.getTime() - (n - 1) * 86400000)), day(now));
+}
+
+function renderAttribution(at) {
+  const t = at.totals;
+  const branches = at.repos.reduce((n, r) => n + r.branches.length, 0);
+  const repoName = r => r.name || 'No working directory';
+  const branchName = b => b.branch ? esc(b.branch) : '<span class="muted">no branch</span>';
+  const q = attrQuery();
+
+  $('left').innerHTML = \`
+    <div>
+      <div class="panel-label">Usage by Branch\${at.from || at.to ? \` · \${esc(at.from || '…')} – \${esc(at.to || '…')}\` : ' · all time'}</div>
+      <div class="stat-grid">
+        <div class="stat-box">
+          <div class="stat-l">Total Tokens</div>
+          <div class="stat-v c-input">\${fmt(t.total)}</div>
+          <div class="stat-s">\${t.exchanges.toLocaleString()} exchanges</div>
+        </div>
+        <div class="stat-box">
+          <div class="stat-l">Est. Cost</div>
+          <div class="stat-v c-cost">\${usd(t.cost)}</div>
+          <div class="stat-s">list prices</div>
+        </div>
+        <div class="stat-box">
+          <div class="stat-l">Repositories</div>
+          <div class="stat-v">\${at.repos.length}</div>
+          <div class="stat-s">by working directory</div>
+        </div>
+        <div class="stat-box">
+          <div class="stat-l">Branches</div>
+          <div class="stat-v">\${branches}</div>
+          <div class="stat-s">across repositories</div>
+        </div>
+      </div>
+    </div>
+    <div>
+      <div class="panel-label">By Repository</div>
+      <div class="card">\${bucketRows(at.repos.map(r => ({ ...r, label: repoName(r) })), 'label')}</div>
+    </div>
+  \`;
 
-const C = { input:'#3b82f6', cread:'#06b6d4', cwrite:'#8b5cf6', output:'#10b981' };
+  $('right').innerHTML = \`
+    <div class="filters">
+      <label>From <input type="date" value="\${esc(attrRange.from)}" onchange="setAttrRange(this.value, attrRange.to)"></label>
+      <label>To <input type="date" value="\${esc(attrRange.to)}" onchange="setAttrRange(attrRange.from, this.value)"></label>
+      <button class="pager-btn" onclick="lastDays(7)">7 days</button>
+      <button class="pager-btn" onclick="lastDays(30)">30 days</button>
+      <button class="pager-btn" onclick="setAttrRange('', '')">All time</button>
+    </div>
+    <div class="ov-wrap">
+      <div>
+        <div class="panel-label">Repositories &amp; Branches
+          <span class="ov-dl">Download: <a href="/api/attribution?format=csv&download=1\${q ? '&' + q : ''}">CSV</a> · <a href="/api/attribution?format=json&download=1\${q ? '&' + q : ''}">JSON</a></span></div>
+        <div class="card">
+          \${at.repos.length ? \`<table class="ov-table">
+            <tr><th>Branch</th><th class="num">Sessions</th><th class="num">API calls</th><th>Active</th><th class="num">Tokens</th><th class="num">Cost</th></tr>
+            \${at.repos.map(r => \`
+              <tr class="br-repo" title="\${esc(r.repo || '')}">
+                <td>\${esc(repoName(r))}\${r.repo ? \` <span class="muted">\${esc(r.repo)}</span>\` : ''}</td>
+                <td class="num">\${r.sessions}</td><td class="num">\${r.exchanges.toLocaleString()}</td><td></td>
+                <td class="num">\${fmt(r.total)}</td><td class="num">\${usd(r.cost)}</td>
+              </tr>
+              \${r.branches.map(b => \`
+                <tr>
+                  <td class="br-name">⎇ \${branchName(b)}</td>
+                  <td class="num">\${b.sessions}</td>
+                  <td class="num">\${b.exchanges.toLocaleString()}</td>
+                  <td>\${b.firstDay === b.lastDay ? b.firstDay : b.firstDay + ' – ' + b.lastDay}</td>
+                  <td class="num">\${fmt(b.total)}</td>
+                  <td class="num">\${usd(b.cost)}</td>
+                </tr>\`).join('')}\`).join('')}
+          </table>\` : '<div class="no-content">No usage in this range</div>'}
+        </div>
+      </div>
+    </div>
+  \`;
+}
 
-/* ─── state ─── */
-let evtSource   = null;
-let activePath  = null;
-let currentPage = 0;
-let lastData    = null;
-const PAGE_SIZE = 10;
+/* ─── windows mode ─── */
+function toggleWindows() { setMode(mode === 'windows' ? 'session' : 'windows'); }
 
-/* ─── bootstrap ─── */
-connect(null);
+let windowsLoadedAt = 0;
+async function loadWindows() {
+  windowsLoadedAt = Date.now();
+  try {
+    const wn = await (await fetch('/api/windows')).json();
+    if (mode === 'windows') renderWindows(wn);
+  } catch (_) {}
+}
 
-function connect(sessionPath) {
-  if (evtSource) evtSource.close();
-  activePath = sessionPath;
-  const u = '/events' + (sessionPath ? '?path=' + encodeURIComponent(sessionPath) : '');
-  evtSource = new EventSource(u);
+function renderWindows(wn) {
+  const a = wn.active, peak = wn.peak;
+  const clock = ts => new Date(ts).toLocaleTimeString([], { timeStyle: 'short' });
+  const span  = w => new Date(w.start).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) + ' – ' + clock(w.end);
+  const ofPeak = n => peak && peak.total ? Math.round(n / peak.total * 100) + '% of your heaviest window' : 'no earlier window to compare';
 
-  evtSource.onopen = () => {
-    $('dot').className = 'dot';
-    $('st').textContent = 'Live';
-  };
+  let active;
+  if (a) {
+    const elapsedPct = Math.min(100, a.elapsedMs / (wn.windowHours * 3600000) * 100);
+    active = \`
+        <div class="big-num">\${fmt(a.total)}<span style="font-size:15px;color:var(--muted);font-weight:400"> tokens</span></div>
+        <div class="big-sub">\${ofPeak(a.total)}</div>
+        <div class="ctx-bar" title="\${elapsedPct.toFixed(0)}% of the window elapsed"><div class="ctx-fill" style="width:\${elapsedPct}%"></div></div>
+        <div class="irow"><span class="ik">Opened</span><span class="iv">\${clock(a.start)}</span></div>
+        <div class="irow"><span class="ik">Resets</span><span class="iv">\${clock(a.end)} · in \${fmtDur(a.remainingMs)}</span></div>
+        <div class="irow"><span class="ik">Projected total</span><span class="iv">\${a.projectedTotal === null ? '— until 30 min in' : fmt(a.projectedTotal) + ' · ' + usd(a.projectedCost)}</span></div>
+        <div class="irow"><span class="ik">Cost so far</span><span class="iv c-cost">\${usd(a.cost)}</span></div>
+        <div class="irow"><span class="ik">API calls</span><span class="iv">\${a.exchanges.toLocaleString()} in \${a.sessions} session\${a.sessions === 1 ? '' : 's'}</span></div>\`;
+  } else {
+    active = '<div class="no-content">No active window · the next one opens with your next message</div>';
+  }
 
-  evtSource.onmessage = e => {
-    const msg = JSON.parse(e.data);
-    if (msg.type === 'sessions') {
-      renderSessionList(msg.sessions);
-    } else if (msg.type === 'init' || msg.type === 'update') {
-      renderAll(msg.data);
-      $('ts').textContent = new Date().toLocaleTimeString();
-    }
-  };
+  $('left').innerHTML = \`
+    <div>
+      <div class="panel-label">Active \${wn.windowHours}-Hour Window</div>
+      <div class="card">\${active}</div>
+    </div>
+    <div>
+      <div class="panel-label">Heaviest Window</div>
+      <div class="card">\${peak ? \`
+        <div class="irow"><span class="ik">\${esc(span(peak))}</span><span class="iv">\${fmt(peak.total)} · \${usd(peak.cost)}</span></div>\`
+        : '<div class="irow"><span class="ik">No data</span></div>'}
+      </div>
+    </div>
+  \`;
 
-  evtSource.onerror = () => {
-    $('dot').className = 'dot off';
-    $('st').textContent = 'Reconnecting…';
-  };
+  $('right').innerHTML = \`
+    <div class="ov-wrap">
+      <div>
+        <div class="panel-label">Past Windows · \${wn.history.length} of \${wn.windows}
+          <span class="ov-dl"><a href="/api/windows?limit=\${Math.max(1, wn.windows)}">JSON</a></span></div>
+        <div class="card">
+          \${wn.history.length ? \`<table class="ov-table">
+            <tr><th>Window</th><th>Last call</th><th class="num">Sessions</th><th class="num">API calls</th><th class="num">Tokens</th><th></th><th class="num">Cost</th></tr>
+            \${wn.history.map(w => \`
+              <tr>
+                <td>\${esc(span(w))}</td>
+                <td>\${clock(w.lastCallAt)}</td>
+                <td class="num">\${w.sessions}</td>
+                <td class="num">\${w.exchanges.toLocaleString()}</td>
+                <td class="num">\${fmt(w.total)}</td>
+                <td><div class="wn-bar" title="\${ofPeak(w.total)}"><i style="width:\${peak.total ? w.total / peak.total * 100 : 0}%"></i></div></td>
+                <td class="num">\${usd(w.cost)}</td>
+              </tr>\`).join('')}
+          </table>\` : '<div class="no-content">No closed windows yet</div>'}
+        </div>
+      </div>
+    </div>
+  \`;
 }
 
-function switchSession(p) {
-  if (p) { currentPage = 0; connect(p); }
-}
+/* Stacked daily bars as inline SVG (no chart library). */
+function dailyChart(days) {
+  const W = 760, H = 200, padL = 44, padB = 20, padT = 8;
+  const max = Math.max(1, ...days.map(d => d.total));
+  const bw  = (W - padL) / days.length;
+  const y   = v => v / max * (H - padB - padT);
+  const labelEvery = Math.ceil(days.length / 10);
 
-function renderSessionList(sessions) {
-  const sel = $('sp');
-  const cur = sel.value;
-  sel.innerHTML = sessions.map(s =>
-    \`<option value="\${esc(s.path)}" \${s.path===cur?'selected':''}>\${s.project} / \${s.sessionId.slice(0,8)}… · \${s.mtime}</option>\`
-  ).join('');
-  if (!activePath && sessions.length) switchSession(sessions[0].path);
-}
+  let bars = '';
+  days.forEach((d, i) => {
+    const x = padL + i * bw + bw * 0.15;
+    let top = H - padB;
+    for (const [k, col] of [['input', C.input], ['cacheRead', C.cread], ['cacheCreated', C.cwrite], ['output', C.output]]) {
+      const h = y(d[k]);
+      top -= h;
+      bars += \`<rect x="\${x}" y="\${top}" width="\${bw * 0.7}" height="\${h}" fill="\${col}"></rect>\`;
+    }
+    bars += \`<rect x="\${x}" y="\${padT}" width="\${bw * 0.7}" height="\${H - padB - padT}" fill="transparent">
+      <title>\${d.day}: \${d.total.toLocaleString()} tokens · \${usd(d.cost)} · \${d.exchanges} exchanges</title></rect>\`;
+    if (i % labelEvery === 0) {
+      bars += \`<text class="axis" x="\${x + bw * 0.35}" y="\${H - 5}" text-anchor="middle">\${d.day.slice(5)}</text>\`;
+    }
+  });
 
-/* ─── render ─── */
-function renderAll(d) { lastData = d; renderLeft(d); renderRight(d); }
+  return \`
+    <svg viewBox="0 0 \${W} \${H}">
+      <text class="axis" x="\${padL - 6}" y="\${padT + 8}" text-anchor="end">\${fmt(max)}</text>
+      <text class="axis" x="\${padL - 6}" y="\${H - padB}" text-anchor="end">0</text>
+      <line x1="\${padL}" y1="\${H - padB}" x2="\${W}" y2="\${H - padB}" stroke="var(--border)"></line>
+      \${bars}
+    </svg>
+    <div class="ov-legend">
+      <span><i class="bl-dot" style="background:\${C.input}"></i>Input</span>
+      <span><i class="bl-dot" style="background:\${C.cread}"></i>Cache read</span>
+      <span><i class="bl-dot" style="background:\${C.cwrite}"></i>Cache written</span>
+      <span><i class="bl-dot" style="background:\${C.output}"></i>Output</span>
+    </div>\`;
+}
 
-function prevPage() { if (currentPage > 0) { currentPage--; renderRight(lastData); } }
+function prevPage() { if (currentPage > 0) { currentPage--; renderTurns(lastData); } }
 function nextPage() {
   if (!lastData) return;
-  const total = groupTurns(lastData.exchanges).length;
-  if ((currentPage + 1) * PAGE_SIZE < total) { currentPage++; renderRight(lastData); }
+  const total = visibleTurns(groupTurns(lastData.exchanges)).length;
+  if ((currentPage + 1) * PAGE_SIZE < total) { currentPage++; renderTurns(lastData); }
 }
 
 function renderLeft(d) {
-  if (!d) return;
+  if (!d || editingForecast()) return; // caught up when the time picker loses focus
   const t = d.totals;
-  const LIMIT = 200000;
+  const LIMIT = d.contextLimit || 200000;
 
-  const latestEx  = d.exchanges.length > 0 ? d.exchanges[d.exchanges.length - 1] : null;
+  // Subagents have their own context windows; the card tracks the main thread
+  const mainExs   = d.exchanges.filter(ex => !ex.isSidechain);
+  const latestEx  = mainExs.length > 0 ? mainExs[mainExs.length - 1] : null;
   const curInput  = latestEx ? latestEx.input        : 0;
   const curCRead  = latestEx ? latestEx.cacheRead    : 0;
   const curCWrite = latestEx ? latestEx.cacheCreated : 0;
   const currentCtx = curInput + curCRead + curCWrite;
   const usedPct = Math.min(100, currentCtx / LIMIT * 100);
-  const fillCls = usedPct > 80 ? 'danger' : usedPct > 60 ? 'warn' : '';
+  const fillCls = usedPct >= CONTEXT_ALERT_PCT ? 'danger' : usedPct >= CONTEXT_ALERT_PCT * 0.75 ? 'warn' : '';
 
   const wi = currentCtx ? (curInput  / currentCtx * 100).toFixed(1) : 0;
   const wr = currentCtx ? (curCRead  / currentCtx * 100).toFixed(1) : 0;
@@ -675,11 +4039,18 @@ function renderLeft(d) {
     ? Math.round(t.cacheRead / (t.cacheRead + t.cacheCreated) * 100) : 0;
   const avgOut = d.exchanges.length ? Math.round(t.output / d.exchanges.length) : 0;
 
+  const sumTok    = x => x.input + x.cacheRead + x.cacheCreated + x.output;
+  const allTotal  = sumTok(t);
+  const sideTotal = d.sidechainTotals ? sumTok(d.sidechainTotals) : 0;
+
+  const missIdx = [];
+  d.exchanges.forEach((ex, i) => { if (ex.cacheMiss) missIdx.push(i); });
+
   $('left').innerHTML = \`
     <div>
       <div class="panel-label">Session</div>
       <div class="card">
-        <div class="irow"><span class="ik">Model</span><span class="iv">\${esc(d.model||'—')}</span></div>
+        <div class="irow"><span class="ik">Model</span><span class="iv">\${esc((latestEx && latestEx.model) || d.model || '—')}</span></div>
         <div class="irow"><span class="ik">Slug</span><span class="iv">\${esc(d.slug||'—')}</span></div>
         <div class="irow"><span class="ik">Exchanges</span><span class="iv">\${d.exchanges.length}</span></div>
         <div class="irow"><span class="ik">Compactions</span><span class="iv">\${d.compactCount}</span></div>
@@ -689,7 +4060,7 @@ function renderLeft(d) {
     <div>
       <div class="panel-label">Context Window</div>
       <div class="card">
-        <div class="big-num">\${fmt(currentCtx)}<span style="font-size:15px;color:var(--muted);font-weight:400"> / 200k</span></div>
+        <div class="big-num">\${fmt(currentCtx)}<span style="font-size:15px;color:var(--muted);font-weight:400"> / \${fmtLimit(LIMIT)}</span></div>
         <div class="big-sub">\${usedPct.toFixed(1)}% used · latest exchange</div>
         <div class="ctx-bar"><div class="ctx-fill \${fillCls}" style="width:\${usedPct}%"></div></div>
 
@@ -722,6 +4093,8 @@ function renderLeft(d) {
       </div>
     </div>
 
+    <div id="forecast">\${forecastCard(d)}</div>
+
     <div>
       <div class="panel-label">Session Totals</div>
       <div class="stat-grid">
@@ -745,29 +4118,221 @@ function renderLeft(d) {
           <div class="stat-v c-cwrite">\${fmt(avgOut)}</div>
           <div class="stat-s">per exchange</div>
         </div>
+        \${sideTotal ? \`<div class="stat-box wide">
+          <div class="stat-l">Subagent Usage</div>
+          <div class="stat-v c-cwrite">\${fmt(sideTotal)}</div>
+          <div class="stat-s">\${(sideTotal / allTotal * 100).toFixed(1)}% of tokens · \${usd(d.sidechainTotals.cost)} · main thread \${fmt(allTotal - sideTotal)}</div>
+        </div>\` : ''}
+        <div class="stat-box wide">
+          <div class="stat-l">Estimated Cost</div>
+          <div class="stat-v c-cost">\${usd(t.cost)}</div>
+          <div class="stat-s">\${usd(d.exchanges.length ? t.cost / d.exchanges.length : 0)} avg per exchange · list prices</div>
+        </div>
       </div>
     </div>
+    \${cacheMissCard(d, missIdx)}
   \`;
 }
 
-/* ─── group raw exchanges into user turns ─── */
-function groupTurns(exchanges) {
-  const turns = [];
-  let cur = null;
-  for (const ex of exchanges) {
-    if (ex.userMessage !== null) {
-      cur = { user: ex.userMessage, exs: [ex] };
-      turns.push(cur);
-    } else if (cur) {
-      cur.exs.push(ex);
-    } else {
-      cur = { user: null, exs: [ex] };
-      turns.push(cur);
-    }
+/* ─── forecast ─── */
+/* Next time the clock reads "HH:MM": later today, or tomorrow. */
+function nextClockTime(hhmm, now) {
+  const [h, m] = hhmm.split(':').map(Number);
+  const at = new Date(now);
+  at.setHours(h, m, 0, 0);
+  if (at.getTime() <= now) at.setDate(at.getDate() + 1);
+  return at.getTime();
+}
+
+/* True while the time picker has focus: re-rendering would drop what's half typed. */
+function editingForecast() { return !!document.activeElement && document.activeElement.classList.contains('fc-at'); }
+
+/* Commits the picker on blur; left untouched, "an hour from now" keeps moving. */
+function setForecastAt(input) {
+  if (input.value !== input.defaultValue) forecastAt = input.value || null;
+  renderLeft(lastData);
+}
+
+function refreshForecast() {
+  if (mode !== 'session' || !lastData || !$('forecast') || editingForecast()) return;
+  $('forecast').innerHTML = forecastCard(lastData);
+}
+
+function forecastCard(d) {
+  const now = Date.now();
+  const f = forecastSession(d, { compactPct: AUTO_COMPACT_PCT, now, until: forecastAt ? nextClockTime(forecastAt, now) : now + 3600000 });
+  if (f.current === null) return '';
+  const at    = new Date(f.until);
+  const hhmm  = String(at.getHours()).padStart(2, '0') + ':' + String(at.getMinutes()).padStart(2, '0');
+  const rate  = (n, unit) => n === null ? '—' : (n >= 0 ? '+' : '−') + fmt(Math.round(Math.abs(n))) + ' / ' + unit;
+  const point = f.compactAtObserved ? 'where it last auto-compacted' : AUTO_COMPACT_PCT + '% of the window';
+  return \`
+      <div class="panel-label">Forecast</div>
+      <div class="card">
+        <div class="big-num">\${f.turnsLeft === null ? '—' : '~' + f.turnsLeft}<span style="font-size:15px;color:var(--muted);font-weight:400"> turn\${f.turnsLeft === 1 ? '' : 's'} left</span></div>
+        <div class="big-sub">until auto-compaction at \${fmt(f.compactAt)} (\${point}) · \${fmt(f.remaining)} to go</div>
+        <div class="irow"><span class="ik">Context growth</span><span class="iv">\${rate(f.growthPerTurn, 'turn')} · \${rate(f.growthPerMin, 'min')}</span></div>
+        <div class="irow"><span class="ik">Time to compaction</span><span class="iv">\${f.minutesLeft === null ? '—' : '~' + fmtDur(f.minutesLeft * 60000)}</span></div>
+        <div class="irow"><span class="ik">Burn rate</span><span class="iv">\${f.idle ? 'idle' : f.tokensPerMin === null ? '—' : fmt(Math.round(f.tokensPerMin)) + ' tok · ' + usd(f.costPerMin) + ' / min'}</span></div>
+        <div class="irow"><span class="ik">Cost by <input type="time" class="fc-at" value="\${hhmm}" onblur="setForecastAt(this)" onkeydown="if (event.key === 'Enter') this.blur()" title="Projects the session cost to this time at the current burn rate"></span><span class="iv c-cost">\${usd(f.projectedCost)}</span></div>
+      </div>\`;
+}
+
+/* ─── cache diagnostics ─── */
+const MISS_CAUSES = {
+  compaction: 'After compaction',
+  ttl:        'Cache expired',
+  model:      'Model switch',
+  unknown:    'Prefix changed',
+};
+
+const fmtGap = ms => ms >= 3600000 ? Math.floor(ms / 3600000) + 'h ' + Math.round(ms % 3600000 / 60000) + 'm'
+                   : ms >= 60000   ? Math.round(ms / 60000) + 'm'
+                   : Math.round(ms / 1000) + 's';
+
+/* One-line explanation of why an API call missed the cache. */
+function missReason(m) {
+  if (m.cause === 'ttl')   return 'idle ' + fmtGap(m.gapMs) + ' since the previous call';
+  if (m.cause === 'model') return 'switched from ' + (m.prevModel || '?');
+  if (m.cause === 'compaction') return 'context was compacted';
+  return 'system prompt, tools or earlier messages changed';
+}
+
+function cacheMissCard(d, missIdx) {
+  if (!missIdx.length) return '';
+  const misses = missIdx.map(i => d.exchanges[i].cacheMiss);
+  const wasted = misses.reduce((n, m) => n + m.wastedTokens, 0);
+  const cost   = misses.reduce((n, m) => n + m.wastedCost, 0);
+  const byCause = {};
+  for (const m of misses) {
+    const c = byCause[m.cause] || (byCause[m.cause] = { n: 0, cost: 0 });
+    c.n++; c.cost += m.wastedCost;
   }
-  return turns;
+  const worst = missIdx.slice().sort((a, b) => d.exchanges[b].cacheMiss.wastedCost - d.exchanges[a].cacheMiss.wastedCost).slice(0, 6);
+  return \`
+    <div>
+      <div class="panel-label">Cache Misses</div>
+      <div class="card">
+        <div class="big-num c-cost">\${usd(cost)}</div>
+        <div class="big-sub">wasted on \${fmt(wasted)} re-written tokens · \${misses.length} call\${misses.length === 1 ? '' : 's'}</div>
+        \${Object.entries(byCause).sort((a, b) => b[1].cost - a[1].cost).map(([k, c]) => \`
+          <div class="irow"><span class="ik">\${MISS_CAUSES[k]} ×\${c.n}</span><span class="iv">\${usd(c.cost)}</span></div>\`).join('')}
+        <div class="miss-list">
+          \${worst.map(i => {
+            const ex = d.exchanges[i], m = ex.cacheMiss;
+            return \`<div class="miss-row" onclick="jumpToCall(lastData.exchanges[\${i}])" title="\${esc(missReason(m))}">
+              <span>\${ex.timestamp ? new Date(ex.timestamp).toLocaleTimeString() : '#' + (i + 1)}</span>
+              <span class="miss-cause">\${esc(missReason(m))}</span>
+              <span>\${fmt(m.wastedTokens)} · \${usd(m.wastedCost)}</span>
+            </div>\`;
+          }).join('')}
+        </div>
+      </div>
+    </div>\`;
+}
+
+/* ─── context timeline ─── */
+/* Stacked area of totalContext per main-thread exchange, as inline SVG. */
+function contextTimeline(d) {
+  const exs = d.exchanges.filter(ex => !ex.isSidechain);
+  chartExs = exs;
+  if (exs.length < 2) return '';
+
+  const W = 900, H = 170, padL = 46, padR = 10, padT = 14, padB = 18;
+  const limit  = d.contextLimit || 200000;
+  const comps  = d.compactions || [];
+  const maxCtx = Math.max(1, ...exs.map(ex => ex.totalContext), ...comps.map(c => c.preTokens || 0));
+  const showLimit = limit <= maxCtx * 1.5;
+  const yMax = Math.max(maxCtx, showLimit ? limit : 0) * 1.08;
+  const n    = exs.length;
+  const x    = i => padL + i / (n - 1) * (W - padL - padR);
+  const y    = v => H - padB - v / yMax * (H - padB - padT);
+
+  // Layers bottom → top: input, cache read, cache written
+  const layers = [['input', C.input], ['cacheRead', C.cread], ['cacheCreated', C.cwrite]];
+  const base = exs.map(() => 0);
+  let areas = '';
+  for (const [k, col] of layers) {
+    const lower = base.slice();
+    exs.forEach((ex, i) => { base[i] += ex[k]; });
+    const top = exs.map((_, i) => \`\${x(i).toFixed(1)},\${y(base[i]).toFixed(1)}\`);
+    const bot = exs.map((_, i) => \`\${x(i).toFixed(1)},\${y(lower[i]).toFixed(1)}\`).reverse();
+    areas += \`<polygon points="\${top.concat(bot).join(' ')}" fill="\${col}" fill-opacity=".75"></polygon>\`;
+  }
+
+  // Compaction markers sit just before the first exchange after the boundary
+  let marks = '';
+  for (const c of comps) {
+    let idx = exs.findIndex(ex => (ex.timestamp || '') >= (c.timestamp || ''));
+    if (idx < 0) idx = n - 1;
+    const cx = x(Math.max(0, idx - 0.5));
+    const label = (c.trigger === 'manual' ? 'manual ' : '') + 'compact' + (c.preTokens ? ' @ ' + fmt(c.preTokens) : '');
+    marks += \`<line class="cmark" x1="\${cx}" y1="\${padT}" x2="\${cx}" y2="\${H - padB}"><title>\${label}\${c.timestamp ? ' · ' + new Date(c.timestamp).toLocaleString() : ''}</title></line>
+      <text class="clabel" x="\${cx + 3}" y="\${padT - 3}">⟲ \${c.preTokens ? fmt(c.preTokens) : ''}</text>\`;
+  }
+
+  // Cache misses: the cached prefix had to be written again
+  exs.forEach((ex, i) => {
+    if (ex.cacheMiss) marks += \`<circle class="mmark" cx="\${x(i)}" cy="\${y(ex.totalContext)}" r="3.5"></circle>\`;
+  });
+
+  // Invisible click targets, one per exchange
+  const step = (W - padL - padR) / (n - 1);
+  let hits = '';
+  exs.forEach((ex, i) => {
+    const t = ex.timestamp ? new Date(ex.timestamp).toLocaleTimeString() : '';
+    hits += \`<rect class="hit" x="\${x(i) - step / 2}" y="\${padT}" width="\${step}" height="\${H - padB - padT}" data-i="\${i}" onclick="jumpToExchange(+this.dataset.i)">
+      <title>Exchange \${i + 1} · \${t}&#10;Context \${ex.totalContext.toLocaleString()} (input \${fmt(ex.input)}, cache read \${fmt(ex.cacheRead)}, written \${fmt(ex.cacheCreated)})\${ex.cacheMiss ? '&#10;Cache miss: ' + esc(missReason(ex.cacheMiss)) + ' · ' + usd(ex.cacheMiss.wastedCost) + ' wasted' : ''}</title></rect>\`;
+  });
+
+  return \`
+    <details class="timeline" \${timelineOpen ? 'open' : ''} ontoggle="timelineOpen = this.open">
+      <summary>Context Growth<span>\${n} exchanges · \${comps.length} compaction\${comps.length === 1 ? '' : 's'} · click to jump to a turn</span></summary>
+      <div class="timeline-body">
+        <svg viewBox="0 0 \${W} \${H}">
+          <text class="axis" x="\${padL - 6}" y="\${y(maxCtx) + 4}" text-anchor="end">\${fmt(maxCtx)}</text>
+          <text class="axis" x="\${padL - 6}" y="\${H - padB}" text-anchor="end">0</text>
+          <line x1="\${padL}" y1="\${H - padB}" x2="\${W - padR}" y2="\${H - padB}" stroke="var(--border)"></line>
+          \${areas}
+          \${showLimit ? \`<line class="limit" x1="\${padL}" y1="\${y(limit)}" x2="\${W - padR}" y2="\${y(limit)}"><title>Context limit \${limit.toLocaleString()}</title></line>
+            <text class="axis" x="\${padL - 6}" y="\${y(limit) + 4}" text-anchor="end">\${fmtLimit(limit)}</text>\` : ''}
+          \${marks}
+          \${hits}
+        </svg>
+      </div>
+    </details>\`;
+}
+
+function jumpToExchange(i) { jumpToCall(chartExs[i]); }
+
+function jumpToCall(ex) {
+  if (!ex || !lastData) return;
+  const ti = groupTurns(lastData.exchanges).findIndex(t => t.exs.includes(ex));
+  if (ti >= 0) jumpToTurn(ti + 1);
 }
 
+/* Shows turn #num in the table, clearing filters that would hide it. */
+function jumpToTurn(num) {
+  if (!lastData) return;
+  const find = () => visibleTurns(groupTurns(lastData.exchanges)).findIndex(v => v.num === num);
+  let idx = find();
+  if (idx < 0) { clearFilters(); idx = find(); }
+  if (idx < 0) return;
+  globalResults = null;
+  currentPage = Math.floor(idx / PAGE_SIZE);
+  renderTurns(lastData);
+  const row = $('turn-' + num);
+  if (!row) return;
+  row.scrollIntoView({ block: 'center' });
+  row.classList.add('flash');
+}
+
+/* ─── group raw exchanges into user turns (shared with the server) ─── */
+${groupTurns}
+
+/* ─── burn rate and auto-compaction forecast (shared with the server) ─── */
+${forecastSession}
+
 function renderRight(d) {
   if (!d || !d.exchanges.length) {
     const msg = d && d.readError
@@ -777,16 +4342,28 @@ function renderRight(d) {
     return;
   }
 
-  const turns    = groupTurns(d.exchanges);
-  const reversed = [...turns].reverse();
-  const total    = turns.length;
+  // The filter bar is built once so typing in it survives live updates
+  if (!$('turns')) {
+    $('right').innerHTML = \`<div id="tl-slot"></div>\${filterBar()}<div id="turns"></div>\`;
+  }
+  $('tl-slot').innerHTML = contextTimeline(d);
+  updateModelFilter(d);
+  if (globalResults) renderSearchResults();
+  else renderTurns(d);
+}
+
+function renderTurns(d) {
+  const all      = groupTurns(d.exchanges);
+  const visible  = visibleTurns(all);
+  const total    = visible.length;
   const totalPages = Math.ceil(total / PAGE_SIZE) || 1;
   if (currentPage >= totalPages) currentPage = totalPages - 1;
   const pageStart = currentPage * PAGE_SIZE;
   const pageEnd   = Math.min(pageStart + PAGE_SIZE, total);
-  const pageTurns = reversed.slice(pageStart, pageEnd);
+  const pageTurns = visible.slice(pageStart, pageEnd);
   const PROMPT_LIMIT = 500;
   const OUTPUT_LIMIT = 700;
+  const filtered  = total !== all.length;
 
   let html = \`
     <div class="turns-wrap">
@@ -797,59 +4374,63 @@ function renderRight(d) {
       </div>
       <div class="pager">
         <span class="pager-info">
-          Showing <strong>\${pageStart + 1}–\${pageEnd}</strong> of <strong>\${total}</strong> turns
+          \${total
+            ? \`Showing <strong>\${pageStart + 1}–\${pageEnd}</strong> of <strong>\${total}</strong> \${filtered ? \`matching turns (of \${all.length})\` : 'turns'}\`
+            : \`No turns match the filters (of \${all.length})\`}
           &nbsp;·&nbsp; Page <strong>\${currentPage + 1}</strong> of <strong>\${totalPages}</strong>
         </span>
         <div class="pager-btns">
+          <a class="pager-btn" href="/api/session?format=csv&rows=turns&path=\${encodeURIComponent(activePath || '')}" title="Download turns as CSV">CSV</a>
+          <a class="pager-btn" href="/api/session?format=json&path=\${encodeURIComponent(activePath || '')}" title="Download exchanges and turns as JSON">JSON</a>
           <button class="pager-btn" onclick="prevPage()" \${currentPage === 0 ? 'disabled' : ''}>← Prev</button>
           <button class="pager-btn" onclick="nextPage()" \${currentPage >= totalPages - 1 ? 'disabled' : ''}>Next →</button>
         </div>
       </div>
   \`;
 
-  pageTurns.forEach((turn, ri) => {
-    const num  = total - (pageStart + ri);
+  pageTurns.forEach(({ turn, num, tok, total: turnTotal }) => {
     const uc   = turn.user?.content || '';
     const isC  = turn.user?.isCompactSummary;
     const ts   = turn.user?.timestamp || turn.exs[0]?.timestamp;
     const time = ts ? new Date(ts).toLocaleTimeString() : '';
 
-    // Aggregate tokens across all API calls in this turn
-    const tok = turn.exs.reduce((acc, ex) => ({
-      input:       acc.input       + ex.input,
-      cacheRead:   acc.cacheRead   + ex.cacheRead,
-      cacheCreated:acc.cacheCreated+ ex.cacheCreated,
-      output:      acc.output      + ex.output,
-    }), { input:0, cacheRead:0, cacheCreated:0, output:0 });
+    const exTotal   = ex => ex.input + ex.cacheRead + ex.cacheCreated + ex.output;
+    const sideTok   = turn.exs.filter(ex => ex.isSidechain).reduce((n, ex) => n + exTotal(ex), 0);
+    const misses    = turn.exs.filter(ex => ex.cacheMiss).map(ex => ex.cacheMiss);
 
-    const turnTotal = tok.input + tok.cacheRead + tok.cacheCreated + tok.output || 1;
-    const wi = (tok.input        / turnTotal * 100).toFixed(1);
-    const wr = (tok.cacheRead    / turnTotal * 100).toFixed(1);
-    const ww = (tok.cacheCreated / turnTotal * 100).toFixed(1);
-    const wo = (tok.output       / turnTotal * 100).toFixed(1);
+    // Tool calls across the turn, e.g. { Read: 3, Bash: 1 }
+    const toolCounts = {};
+    for (const ex of turn.exs) for (const tool of ex.tools || []) toolCounts[tool.name] = (toolCounts[tool.name] || 0) + 1;
+    const toolChips = Object.entries(toolCounts)
+      .map(([name, n]) => \`<span class="chip">\${esc(name)}\${n > 1 ? ' ×' + n : ''}</span>\`).join('');
+    const barTotal = turnTotal || 1;
+    const wi = (tok.input        / barTotal * 100).toFixed(1);
+    const wr = (tok.cacheRead    / barTotal * 100).toFixed(1);
+    const ww = (tok.cacheCreated / barTotal * 100).toFixed(1);
+    const wo = (tok.output       / barTotal * 100).toFixed(1);
 
-    // Final response = last exchange in the turn
-    const rc = turn.exs[turn.exs.length - 1].response || '';
+    // Final response = last main-thread exchange in the turn
+    const mainExs = turn.exs.filter(ex => !ex.isSidechain);
+    const rc = (mainExs.length ? mainExs[mainExs.length - 1] : turn.exs[turn.exs.length - 1]).response || '';
 
     html += \`
-      <div class="turn-row">
+      <div class="turn-row" id="turn-\${num}" data-uuid="\${esc(turn.user?.uuid || turn.exs[0].uuid || '')}"
+        onclick="if (!event.target.closest('details, a, button')) openDetail(this.dataset.uuid)" title="Click for full details">
 
         <div class="tc tc-prompt">
           <div class="turn-meta">
             <span class="turn-num">#\${num}</span>
             <span class="turn-time">\${time}</span>
             \${isC ? '<span class="badge-compact">compact</span>' : ''}
+            \${misses.length ? \`<span class="badge-miss" title="\${esc(misses.map(m => missReason(m) + ' · ' + fmt(m.wastedTokens) + ' tokens re-written').join('\\n'))}">cache miss · \${usd(misses.reduce((n, m) => n + m.wastedCost, 0))}</span>\` : ''}
           </div>
-          \${uc
-            ? \`<div class="prompt-text">\${esc(uc.slice(0, PROMPT_LIMIT))}</div>
-               \${uc.length > PROMPT_LIMIT ? \`<div class="text-trunc">… \${(uc.length - PROMPT_LIMIT).toLocaleString()} more chars</div>\` : ''}\`
-            : '<div class="no-content">No user message</div>'
-          }
+          \${uc ? textBlock(uc, PROMPT_LIMIT, 'prompt-text') : '<div class="no-content">No user message</div>'}
         </div>
 
         <div class="tc tc-tokens">
           <div class="tok-total">\${fmt(turnTotal)}</div>
           <div class="tok-unit">tokens total</div>
+          <div class="tok-cost">\${usd(tok.cost)}</div>
           <div class="tok-rows">
             <div class="tok-row">
               <span class="tok-k">Input</span>
@@ -874,15 +4455,21 @@ function renderRight(d) {
             <div class="mini-seg" style="width:\${ww}%;background:\${C.cwrite}"></div>
             <div class="mini-seg" style="width:\${wo}%;background:\${C.output}"></div>
           </div>
-          \${turn.exs.length > 1 ? \`<div class="api-count">\${turn.exs.length} API calls in this turn</div>\` : ''}
+          \${sideTok ? \`<div class="split-row">Main \${fmt(turnTotal - sideTok)} · <span style="color:var(--purple)">Subagents \${fmt(sideTok)}</span></div>\` : ''}
+          \${toolChips ? \`<div class="tool-chips">\${toolChips}</div>\` : ''}
+          \${turn.exs.length > 1 ? \`<details class="calls api-count">
+            <summary>\${turn.exs.length} API calls in this turn</summary>
+            \${turn.exs.map((ex, i) => \`
+              <div class="call-row">
+                <span class="call-n">\${i + 1}</span>
+                <span class="call-tools" title="\${esc((ex.tools || []).map(t => t.name).join(', '))}">\${ex.isSidechain ? '<span class="badge-agent">agent</span>' : ''}\${ex.cacheMiss ? '<span class="badge-miss">miss</span>' : ''}\${ex.tools && ex.tools.length ? esc(ex.tools.map(t => t.name).join(', ')) : '<span style="color:var(--muted2)">text</span>'}</span>
+                <span class="call-tok">\${fmt(exTotal(ex))} · \${usd(ex.cost)}</span>
+              </div>\`).join('')}
+          </details>\` : ''}
         </div>
 
         <div class="tc tc-output">
-          \${rc
-            ? \`<div class="output-text">\${esc(rc.slice(0, OUTPUT_LIMIT))}</div>
-               \${rc.length > OUTPUT_LIMIT ? \`<div class="text-trunc">… \${(rc.length - OUTPUT_LIMIT).toLocaleString()} more chars</div>\` : ''}\`
-            : '<div class="no-content">No response</div>'
-          }
+          \${rc ? textBlock(rc, OUTPUT_LIMIT, 'output-text') : '<div class="no-content">No response</div>'}
         </div>
 
       </div>
@@ -890,19 +4477,346 @@ function renderRight(d) {
   });
 
   html += '</div>';
-  $('right').innerHTML = html;
+  $('turns').innerHTML = html;
+}
+
+/* ─── turn detail drawer ─── */
+const pretty = v => esc(JSON.stringify(v, null, 2) || '');
+let detailRequest = null; // AbortController of the turn the drawer is loading
+
+async function openDetail(uuid) {
+  if (!uuid || !activePath) return;
+  document.body.classList.add('drawer-open');
+  $('dr-title').textContent = 'Loading…';
+  $('dr-sub').textContent = '';
+  $('dr-body').innerHTML = '';
+  // Only the turn clicked last fills the drawer
+  if (detailRequest) detailRequest.abort();
+  const req = detailRequest = new AbortController();
+  let t;
+  try {
+    const res = await fetch('/api/turn?path=' + encodeURIComponent(activePath) + '&uuid=' + encodeURIComponent(uuid), { signal: req.signal });
+    t = await res.json();
+  } catch (_) {}
+  if (req.signal.aborted) return;
+  if (!t || t.error) { $('dr-title').textContent = 'Turn not found'; return; }
+
+  const tok = t.calls.reduce((n, c) => n + c.input + c.cacheRead + c.cacheCreated + c.output, 0);
+  const cost = t.calls.reduce((n, c) => n + c.cost, 0);
+  const ts = t.user?.timestamp || t.calls[0]?.timestamp;
+  $('dr-title').textContent = 'Turn #' + t.turn;
+  $('dr-sub').textContent = \`\${ts ? new Date(ts).toLocaleString() : ''} · \${t.calls.length} API call\${t.calls.length === 1 ? '' : 's'} · \${fmt(tok)} tokens · \${usd(cost)}\`;
+
+  $('dr-body').innerHTML = \`
+    <div>
+      <div class="panel-label">User message\${t.user?.isCompactSummary ? ' · compaction summary' : ''}</div>
+      <div class="dr-pre">\${t.user ? esc(t.user.content) : '<span class="no-content">No user message</span>'}</div>
+    </div>
+    <div>
+      <div class="panel-label">API calls</div>
+      <div style="display:flex;flex-direction:column;gap:10px">\${t.calls.map(detailCall).join('')}</div>
+    </div>
+    <details>
+      <summary>Raw JSONL records (\${t.records.length})</summary>
+      \${t.records.map(r => \`<pre class="dr-pre json">\${pretty(r)}</pre>\`).join('')}
+    </details>\`;
+}
+
+function detailCall(c, i) {
+  const blocks = c.blocks.map(b => {
+    if (b.type === 'text') return \`<div><div class="dr-block-label">Text</div><div class="dr-pre">\${esc(b.text)}</div></div>\`;
+    if (b.type === 'thinking') return \`<details><summary>Thinking (\${b.text.length.toLocaleString()} chars)</summary><div class="dr-pre">\${esc(b.text)}</div></details>\`;
+    if (b.type === 'tool_use') return \`
+      <div class="dr-tool \${b.result && b.result.isError ? 'err' : ''}">
+        <div class="dr-block-label">Tool call · \${esc(b.name || '')}</div>
+        <pre class="dr-pre json">\${pretty(b.input)}</pre>
+        \${b.result ? \`<details><summary>Result\${b.result.isError ? ' (error)' : ''} · \${(b.result.text.length + b.result.truncated).toLocaleString()} chars</summary>
+          <div class="dr-pre">\${esc(b.result.text)}\${b.result.truncated ? \`\n… \${b.result.truncated.toLocaleString()} more chars\` : ''}</div></details>\` : ''}
+      </div>\`;
+    return \`<div class="dr-block-label">\${esc(b.type)} block</div>\`;
+  }).join('');
+
+  return \`
+    <div class="dr-call">
+      <div class="dr-call-head">
+        <strong>#\${i + 1}</strong>
+        \${c.isSidechain ? '<span class="badge-agent">agent</span>' : ''}
+        <span>\${esc(c.model || '—')}</span>
+        <span>\${c.timestamp ? new Date(c.timestamp).toLocaleTimeString() : ''}</span>
+        <span>in \${fmt(c.input)} · cache read \${fmt(c.cacheRead)} · written \${fmt(c.cacheCreated)} · out \${fmt(c.output)}</span>
+        <span style="color:var(--warn)">\${usd(c.cost)}</span>
+        \${c.stopReason ? \`<span>stop: \${esc(c.stopReason)}</span>\` : ''}
+      </div>
+      \${blocks || '<div class="no-content">No content blocks</div>'}
+      <details><summary>Usage · requestId \${esc(c.requestId || '—')}</summary><pre class="dr-pre json">\${pretty(c.usage)}</pre></details>
+    </div>\`;
+}
+
+function closeDetail() {
+  if (detailRequest) detailRequest.abort();
+  document.body.classList.remove('drawer-open');
+}
+document.addEventListener('keydown', e => { if (e.key === 'Escape') closeDetail(); });
+
+/* ─── search & filters ─── */
+function defaultFilters() {
+  return { q: '', minTok: '', maxTok: '', minCost: '', model: '', compact: false, cacheMiss: false, from: '', to: '', sort: 'newest' };
+}
+
+const SORTS = {
+  newest: (a, b) => b.num - a.num,
+  oldest: (a, b) => a.num - b.num,
+  tokens: (a, b) => b.total - a.total,
+  cost:   (a, b) => b.tok.cost - a.tok.cost,
+  output: (a, b) => b.tok.output - a.tok.output,
+};
+
+const searchTerms = q => q.toLowerCase().split(/\\s+/).filter(Boolean);
+
+/* Turns (numbered from 1 in chronological order) that pass the filters, sorted. */
+function visibleTurns(turns) {
+  const terms   = searchTerms(filters.q);
+  const minTok  = parseFloat(filters.minTok);
+  const maxTok  = parseFloat(filters.maxTok);
+  const minCost = parseFloat(filters.minCost);
+  const from    = filters.from ? new Date(filters.from).getTime() : null;
+  const to      = filters.to   ? new Date(filters.to).getTime()   : null;
+
+  return turns.map((turn, i) => {
+    const tok = turn.exs.reduce((acc, ex) => ({
+      input:        acc.input        + ex.input,
+      cacheRead:    acc.cacheRead    + ex.cacheRead,
+      cacheCreated: acc.cacheCreated + ex.cacheCreated,
+      output:       acc.output       + ex.output,
+      cost:         acc.cost         + ex.cost,
+    }), { input:0, cacheRead:0, cacheCreated:0, output:0, cost:0 });
+    const ts = turn.user?.timestamp || turn.exs[0]?.timestamp;
+    return { turn, num: i + 1, tok, total: tok.input + tok.cacheRead + tok.cacheCreated + tok.output, ts };
+  }).filter(v => {
+    if (!isNaN(minTok)  && v.total    < minTok)  return false;
+    if (!isNaN(maxTok)  && v.total    > maxTok)  return false;
+    if (!isNaN(minCost) && v.tok.cost < minCost) return false;
+    if (filters.model   && !v.turn.exs.some(ex => ex.model === filters.model)) return false;
+    if (filters.compact && !v.turn.user?.isCompactSummary) return false;
+    if (filters.cacheMiss && !v.turn.exs.some(ex => ex.cacheMiss)) return false;
+    const t = v.ts ? new Date(v.ts).getTime() : null;
+    if (from !== null && (t === null || t < from)) return false;
+    if (to   !== null && (t === null || t > to))   return false;
+    if (terms.length) {
+      const text = ((v.turn.user?.content || '') + '\\n' + v.turn.exs.map(ex => ex.response || '').join('\\n')).toLowerCase();
+      if (!terms.every(term => text.includes(term))) return false;
+    }
+    return true;
+  }).sort(SORTS[filters.sort] || SORTS.newest);
+}
+
+function filterBar() {
+  const f = filters;
+  return \`
+    <div class="filters" id="filters">
+      <input type="search" class="f-q" placeholder="Search prompts and responses…" value="\${esc(f.q)}" oninput="setFilter('q', this.value)">
+      <button class="pager-btn" onclick="searchAllSessions()" title="Search every session on this machine">All sessions</button>
+      <label>Tokens <input type="number" min="0" placeholder="min" value="\${esc(f.minTok)}" oninput="setFilter('minTok', this.value)">
+        – <input type="number" min="0" placeholder="max" value="\${esc(f.maxTok)}" oninput="setFilter('maxTok', this.value)"></label>
+      <label>Cost ≥ $<input type="number" min="0" step="0.01" placeholder="0" value="\${esc(f.minCost)}" oninput="setFilter('minCost', this.value)"></label>
+      <select id="f-model" onchange="setFilter('model', this.value)"><option value="">All models</option></select>
+      <label><input type="checkbox" \${f.compact ? 'checked' : ''} onchange="setFilter('compact', this.checked)"> Compactions</label>
+      <label><input type="checkbox" \${f.cacheMiss ? 'checked' : ''} onchange="setFilter('cacheMiss', this.checked)"> Cache misses</label>
+      <label>From <input type="datetime-local" value="\${esc(f.from)}" onchange="setFilter('from', this.value)"></label>
+      <label>To <input type="datetime-local" value="\${esc(f.to)}" onchange="setFilter('to', this.value)"></label>
+      <select onchange="setFilter('sort', this.value)">
+        \${[['newest','Newest first'],['oldest','Oldest first'],['tokens','Most tokens'],['cost','Most expensive'],['output','Most output']]
+          .map(([v, l]) => \`<option value="\${v}" \${f.sort === v ? 'selected' : ''}>\${l}</option>\`).join('')}
+      </select>
+      <button class="pager-btn" onclick="clearFilters()">Clear</button>
+    </div>\`;
+}
+
+let modelKey = '';
+function updateModelFilter(d) {
+  const models = [...new Set(d.exchanges.map(ex => ex.model).filter(Boolean))].sort();
+  if (models.join('|') === modelKey && $('f-model').options.length > 1) return;
+  modelKey = models.join('|');
+  $('f-model').innerHTML = '<option value="">All models</option>' +
+    models.map(m => \`<option value="\${esc(m)}" \${filters.model === m ? 'selected' : ''}>\${esc(m)}</option>\`).join('');
+}
+
+function setFilter(key, value) {
+  filters[key] = value;
+  currentPage = 0;
+  globalResults = null;
+  if (lastData) renderTurns(lastData);
+}
+
+function clearFilters() {
+  filters = defaultFilters();
+  globalResults = null;
+  const bar = $('filters');
+  if (bar) { bar.outerHTML = filterBar(); modelKey = ''; }
+  if (lastData) renderRight(lastData);
+}
+
+/* Text cut to \`limit\` chars; with a search active, the window is moved to the first match. */
+function textBlock(text, limit, cls) {
+  const terms = searchTerms(filters.q);
+  let start = 0;
+  if (terms.length) {
+    const lower = text.toLowerCase();
+    const hits  = terms.map(t => lower.indexOf(t)).filter(i => i >= 0);
+    const first = hits.length ? Math.min(...hits) : -1;
+    if (first + 40 > limit) start = Math.max(0, first - 150);
+  }
+  const shown = text.slice(start, start + limit);
+  const more  = text.length - start - shown.length;
+  return \`<div class="\${cls}">\${start ? '… ' : ''}\${highlight(shown, terms)}</div>
+    \${more > 0 ? \`<div class="text-trunc">… \${more.toLocaleString()} more chars</div>\` : ''}\`;
+}
+
+function highlight(text, terms) {
+  if (!terms.length) return esc(text);
+  // Match the raw text, then escape each piece, so terms never match inside entities
+  const re = new RegExp('(' + terms.map(t => t.replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&')).join('|') + ')', 'gi');
+  return text.split(re).map((part, i) => i % 2 ? \`<mark>\${esc(part)}</mark>\` : esc(part)).join('');
+}
+
+/* ─── search across all sessions ─── */
+async function searchAllSessions() {
+  const q = filters.q.trim();
+  if (!q) return;
+  $('turns').innerHTML = '<div class="empty"><p>Searching all sessions…</p></div>';
+  try {
+    const res = await fetch('/api/search?q=' + encodeURIComponent(q));
+    globalResults = { q, results: await res.json() };
+  } catch (_) {
+    globalResults = { q, results: [] };
+  }
+  renderSearchResults();
+}
+
+function renderSearchResults() {
+  const { q, results } = globalResults;
+  const terms = searchTerms(q);
+  $('turns').innerHTML = \`
+    <div class="pager" style="top:0">
+      <span class="pager-info"><strong>\${results.length}</strong> turns matching “\${esc(q)}” across all sessions</span>
+      <div class="pager-btns"><button class="pager-btn" onclick="globalResults = null; renderTurns(lastData)">← Back to this session</button></div>
+    </div>
+    \${results.length ? '' : '<div class="empty"><p>No matches.</p></div>'}
+    \${results.map(r => \`
+      <div class="result" data-path="\${esc(r.path)}" data-turn="\${r.turn}" onclick="openResult(this.dataset.path, +this.dataset.turn)">
+        <div class="turn-meta">
+          <span class="turn-num">#\${r.turn}</span>
+          <span class="turn-time">\${esc(r.project)} / \${esc(r.sessionId.slice(0, 8))}… · \${r.timestamp ? new Date(r.timestamp).toLocaleString() : ''}</span>
+          <span class="turn-time" style="margin-left:auto">\${fmt(r.total)} · \${usd(r.cost)}</span>
+        </div>
+        <div class="prompt-text">\${highlight(r.prompt, terms)}</div>
+        \${r.response ? \`<div class="output-text result-resp">\${highlight(r.response, terms)}</div>\` : ''}
+      </div>\`).join('')}\`;
+}
+
+function openResult(p, num) {
+  globalResults = null;
+  pendingJump = { path: p, num };
+  if (p === activePath) { pendingJump = null; jumpToTurn(num); }
+  else switchSession(p);
 }
 </script>
 </body></html>`;
 
+// ─── Access control ──────────────────────────────────────────────────────────
+const isLoopback = host => host === 'localhost' || host === '::1' || /^127\./.test(host);
+
+/**
+ * Required on every request when set. Generated at startup when listening on
+ * a non-loopback address without one, and printed in the startup banner.
+ */
+const AUTH_TOKEN = CONFIG.token || (isLoopback(HOST) ? null : crypto.randomBytes(24).toString('base64url'));
+
+/** Cookie set after a visit with ?token=, so EventSource and fetch stay signed in. */
+const SESSION_COOKIE = 'dashboard_session';
+const SESSION_VALUE  = AUTH_TOKEN && crypto.createHmac('sha256', AUTH_TOKEN).update(SESSION_COOKIE).digest('base64url');
+
+const TLS = CONFIG.tlsCert ? (() => {
+  try { return { cert: fs.readFileSync(CONFIG.tlsCert), key: fs.readFileSync(CONFIG.tlsKey) }; }
+  catch (err) { usageError(`Cannot read TLS files: ${err.message}`); }
+})() : null;
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) return part.slice(i + 1).trim();
+  }
+  return null;
+}
+
+/**
+ * Accepts `Authorization: Bearer <token>`, the session cookie, or ?token=
+ * (which also sets the cookie; the page is redirected to drop it from the
+ * URL). Otherwise answers 401 and returns false.
+ */
+function authorize(req, res, parsed) {
+  if (!AUTH_TOKEN) return true;
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '')?.[1];
+  if (bearer && safeEqual(bearer, AUTH_TOKEN)) return true;
+  const cookie = readCookie(req, SESSION_COOKIE);
+  if (cookie && safeEqual(cookie, SESSION_VALUE)) return true;
+
+  if (parsed.query.token && safeEqual(parsed.query.token, AUTH_TOKEN)) {
+    const setCookie = `${SESSION_COOKIE}=${SESSION_VALUE}; HttpOnly; SameSite=Strict; Path=/${TLS ? '; Secure' : ''}`;
+    if (parsed.pathname !== '/') { res.setHeader('Set-Cookie', setCookie); return true; }
+    const { token, ...rest } = parsed.query;
+    const qs = new URLSearchParams(rest).toString();
+    res.writeHead(302, { 'Set-Cookie': setCookie, Location: '/' + (qs ? '?' + qs : '') });
+    res.end();
+    return false;
+  }
+
+  res.writeHead(401, { 'Content-Type': 'text/plain', 'WWW-Authenticate': 'Bearer' });
+  res.end('Unauthorized. Open the URL printed when the dashboard started (it ends in ?token=…), or send "Authorization: Bearer <token>".');
+  return false;
+}
+
+/**
+ * Query parameters name session files by path. Only discovered sessions (and
+ * the --path file) may be read; anything else resolves to null.
+ */
+function knownSessionPaths() {
+  const known = new Set(discoverSessions().map(s => s.path));
+  if (FORCED) known.add(FORCED);
+  return known;
+}
+
+function resolveSession(p, known = knownSessionPaths()) {
+  if (!p || typeof p !== 'string') return null;
+  const abs = path.resolve(p);
+  return known.has(abs) ? abs : null;
+}
+
+function unknownSession(res) {
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end('Unknown session: pass the path of a session listed by /api/sessions');
+}
+
 // ─── HTTP Server ──────────────────────────────────────────────────────────────
-const server = http.createServer((req, res) => {
+function handleRequest(req, res) {
   const parsed = url.parse(req.url, true);
   const pathname = parsed.pathname;
+  if (!authorize(req, res, parsed)) return;
 
   // ── GET /events  (SSE) ────────────────────────────────────────────────────
   if (pathname === '/events') {
-    const sessionPath = parsed.query.path || FORCED || null;
+    // ?compare=<a>&compare=<b> subscribes to several sessions at once
+    const known        = knownSessionPaths();
+    const requested    = [].concat(parsed.query.compare || []);
+    const comparePaths = [...new Set(requested.map(p => resolveSession(p, known)))].slice(0, MAX_COMPARE);
+    const asked        = parsed.query.path ? resolveSession(parsed.query.path, known) : null;
+    if (comparePaths.includes(null) || (parsed.query.path && !asked)) return unknownSession(res);
+    const sessionPath  = comparePaths.length ? null : asked || FORCED || null;
 
     res.writeHead(200, {
       'Content-Type':  'text/event-stream',
@@ -913,18 +4827,24 @@ const server = http.createServer((req, res) => {
     res.flushHeaders();
 
     // Send session list immediately
-    const sessions = discoverSessions();
+    const sessions = listSessions();
     sendSSE(res, { type: 'sessions', sessions });
 
+    // Replay alerts that are still in effect (no desktop notification for these)
+    for (const alert of alertsFor(sessionPath)) sendSSE(res, { type: 'alert', alert, replay: true });
+    allClients.add(res);
+
     // Send parsed data for requested session
     if (sessionPath) {
-      const data = parseJSONL(sessionPath) || {
-        sessionId: null, slug: null, model: null, version: null,
-        exchanges: [], totals: { input: 0, cacheRead: 0, cacheCreated: 0, output: 0 },
-        compactCount: 0, readError: true,
-      };
-      sendSSE(res, { type: 'init', data });
+      const data = initialData(sessionPath);
+      sendSSE(res, { type: 'init', path: sessionPath, data });
       addClient(sessionPath, res);
+      if (!data.readError) checkAlerts(sessionPath, data);
+    }
+    for (const p of comparePaths) {
+      const data = initialData(p);
+      sendSSE(res, { type: 'init', path: p, data });
+      addClient(p, res);
     }
 
     // Keep-alive ping
@@ -934,19 +4854,171 @@ const server = http.createServer((req, res) => {
 
     req.on('close', () => {
       clearInterval(ping);
+      allClients.delete(res);
       if (sessionPath) removeClient(sessionPath, res);
+      for (const p of comparePaths) removeClient(p, res);
     });
     return;
   }
 
   // ── GET /api/sessions  (JSON, optional) ───────────────────────────────────
   if (pathname === '/api/sessions') {
-    const sessions = discoverSessions();
+    const sessions = listSessions();
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify(sessions));
     return;
   }
 
+  // ── GET /api/overview  (JSON, all sessions) ───────────────────────────────
+  if (pathname === '/api/overview') {
+    const top = parseInt(parsed.query.top, 10);
+    const overview = buildOverview(top > 0 ? { top } : undefined);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(overview));
+    return;
+  }
+
+  // ── GET /api/session  (CSV / JSON export) ────────────────────────────────
+  if (pathname === '/api/session') {
+    const sessionPath = parsed.query.path ? resolveSession(parsed.query.path) : FORCED;
+    if (parsed.query.path && !sessionPath) return unknownSession(res);
+    const format = parsed.query.format || 'json';
+    const rows   = parsed.query.rows   || 'exchanges';
+    if (!sessionPath || !EXPORT_FORMATS.includes(format) || !EXPORT_ROWS.includes(rows)) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Expected ?path=<session.jsonl>&format=csv|json[&rows=exchanges|turns]');
+      return;
+    }
+    const result = loadSession(sessionPath, { live: false, reuse: true });
+    if (!result) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Cannot read session file');
+      return;
+    }
+    const { body, contentType } = renderExport(sessionPath, result.data, { format, rows });
+    const name = path.basename(sessionPath, '.jsonl') + (format === 'csv' ? `-${rows}.csv` : '.json');
+    res.writeHead(200, { 'Content-Type': contentType, 'Content-Disposition': `attachment; filename="${name}"` });
+    res.end(body);
+    return;
+  }
+
+  // ── GET /metrics  (Prometheus / OpenMetrics) ─────────────────────────────
+  if (pathname === '/metrics') {
+    const openMetrics = /application\/openmetrics-text/.test(req.headers.accept || '');
+    res.writeHead(200, { 'Content-Type': openMetrics
+      ? 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+      : 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(renderMetrics({ openMetrics }));
+    return;
+  }
+
+  // ── GET /api/history  (CSV / JSON export of the usage ledger) ────────────
+  if (pathname === '/api/history') {
+    const format = parsed.query.format || 'json';
+    if (!LEDGER_FILE || !EXPORT_FORMATS.includes(format)) {
+      res.writeHead(LEDGER_FILE ? 400 : 404, { 'Content-Type': 'text/plain' });
+      res.end(LEDGER_FILE ? 'Expected ?format=csv|json[&from=YYYY-MM-DD&to=YYYY-MM-DD&project=…&session=…]' : 'Ledger disabled (--no-ledger)');
+      return;
+    }
+    const { project = null, session = null } = parsed.query;
+    let from = null, to = null;
+    try {
+      if (parsed.query.from) from = CHECKS.day(parsed.query.from);
+      if (parsed.query.to)   to   = CHECKS.day(parsed.query.to);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end(`from and to ${err.message}`);
+      return;
+    }
+    const { body, contentType } = renderHistory({ from, to, project, session }, format);
+    const name = 'claude-usage-history' + (format === 'csv' ? '.csv' : '.json');
+    res.writeHead(200, { 'Content-Type': contentType, 'Content-Disposition': `attachment; filename="${name}"` });
+    res.end(body);
+    return;
+  }
+
+  // ── GET /api/attribution  (usage by repository and branch) ───────────────
+  if (pathname === '/api/attribution') {
+    const format = parsed.query.format || 'json';
+    let from = null, to = null;
+    try {
+      if (!EXPORT_FORMATS.includes(format)) throw new Error('');
+      if (parsed.query.from) from = CHECKS.day(parsed.query.from);
+      if (parsed.query.to)   to   = CHECKS.day(parsed.query.to);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Expected ?format=csv|json[&from=YYYY-MM-DD&to=YYYY-MM-DD]');
+      return;
+    }
+    const { body, contentType } = renderAttribution({ from, to }, format);
+    const headers = { 'Content-Type': contentType };
+    if (parsed.query.download) headers['Content-Disposition'] = `attachment; filename="claude-usage-by-branch.${format}"`;
+    res.writeHead(200, headers);
+    res.end(body);
+    return;
+  }
+
+  // ── GET /api/windows  (rolling 5-hour usage windows) ─────────────────────
+  if (pathname === '/api/windows') {
+    let limit = 20;
+    try {
+      if (parsed.query.limit) limit = CHECKS.count(parsed.query.limit);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Expected ?limit=<number of past windows>');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(buildUsageWindows({ limit }), null, 2));
+    return;
+  }
+
+  // ── GET /api/turn  (JSON, one turn in full) ───────────────────────────────
+  if (pathname === '/api/turn') {
+    const sessionPath = parsed.query.path ? resolveSession(parsed.query.path) : FORCED;
+    if (parsed.query.path && !sessionPath) return unknownSession(res);
+    const { uuid, requestId } = parsed.query;
+    if (!sessionPath || (!uuid && !requestId)) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Expected ?path=<session.jsonl>&uuid=<uuid> or &requestId=<id>');
+      return;
+    }
+    const detail = turnDetail(sessionPath, { uuid, requestId });
+    res.writeHead(detail ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(detail || { error: 'Turn not found' }));
+    return;
+  }
+
+  // ── GET /api/search  (JSON, all sessions) ─────────────────────────────────
+  if (pathname === '/api/search') {
+    const q = String(parsed.query.q || '').trim();
+    if (!q) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Expected ?q=<search terms>[&limit=50][&project=…][&from=YYYY-MM-DD][&to=YYYY-MM-DD]');
+      return;
+    }
+    let limit = 50, from = null, to = null;
+    try {
+      if (parsed.query.limit) limit = Math.min(500, CHECKS.count(parsed.query.limit));
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end(`limit ${err.message}`);
+      return;
+    }
+    try {
+      if (parsed.query.from) from = CHECKS.day(parsed.query.from);
+      if (parsed.query.to)   to   = CHECKS.day(parsed.query.to);
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end(`from and to ${err.message}`);
+      return;
+    }
+    const results = searchSessions(q, { limit, project: parsed.query.project || null, from, to });
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(results));
+    return;
+  }
+
   // ── GET /  (dashboard HTML) ────────────────────────────────────────────────
   if (pathname === '/' || pathname === '/index.html') {
     res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
@@ -956,35 +5028,69 @@ const server = http.createServer((req, res) => {
 
   res.writeHead(404);
   res.end('Not found');
-});
+}
+
+const server = TLS ? https.createServer(TLS, handleRequest) : http.createServer(handleRequest);
 
 // ─── Start ────────────────────────────────────────────────────────────────────
-server.listen(PORT, '127.0.0.1', () => {
-  const line = '─'.repeat(52);
-  console.log(`\n${line}`);
-  console.log('  Claude Code Token Dashboard');
-  console.log(line);
-  console.log(`  URL  : http://localhost:${PORT}`);
-  console.log(`  Watch: ${CLAUDE_PROJECTS_DIR}`);
-  if (FORCED) console.log(`  File : ${FORCED}`);
-  console.log(`${line}\n`);
-  console.log('  Open the URL in your browser. The dashboard will');
-  console.log('  auto-select the most recent session and update live.');
-  console.log(`\n${line}\n`);
-});
+function startServer() {
+  startDiscoveryWatcher();
+  startHookMonitor();
+  // Record sessions in the ledger before Claude Code cleans them up
+  if (LEDGER_FILE) {
+    setTimeout(ingestAll, 2000).unref();
+    setInterval(ingestAll, 10 * 60 * 1000).unref();
+  }
+  server.listen(PORT, HOST, () => {
+    const line = '─'.repeat(52);
+    const shownHost = isLoopback(HOST) ? 'localhost'
+                    : HOST === '0.0.0.0' || HOST === '::' ? os.hostname() // every interface
+                    : HOST.includes(':') ? `[${HOST}]` : HOST;
+    console.log(`\n${line}`);
+    console.log(`  Claude Code Token Dashboard ${VERSION}`);
+    console.log(line);
+    const scheme = TLS ? 'https' : 'http';
+    console.log(`  URL  : ${scheme}://${shownHost}:${server.address().port}/${AUTH_TOKEN ? '?token=' + AUTH_TOKEN : ''}`);
+    for (const dir of PROJECTS_DIRS) console.log(`  Watch: ${dir}`);
+    if (FORCED) console.log(`  File : ${FORCED}`);
+    if (LEDGER_FILE) console.log(`  Usage: ${LEDGER_FILE}`);
+    if (hooksEnabled()) console.log(`  Hooks: ${HOOKS.webhooks.length} webhook(s), ${HOOKS.commands.length} command(s)`);
+    console.log(`${line}\n`);
+    console.log('  Open the URL in your browser. The dashboard will');
+    console.log('  auto-select the most recent session and update live.');
+    console.log(`\n${line}\n`);
+  });
+
+  server.on('error', err => {
+    if (err.code === 'EADDRINUSE') {
+      console.error(`\n  Port ${PORT} is already in use.`);
+      console.error(`  Try: node server.js --port 4001\n`);
+    } else if (err.code === 'EADDRNOTAVAIL' || err.code === 'ENOTFOUND') {
+      console.error(`\n  Cannot listen on ${HOST}: no such address on this machine.\n`);
+    } else {
+      console.error(err);
+    }
+    process.exit(1);
+  });
+
+  process.on('SIGINT', () => {
+    console.log('\n  Shutting down…');
+    for (const list of watchers.values()) for (const w of list) w.close();
+    stopDiscoveryWatcher();
+    clearInterval(hookTimer);
+    server.close(() => process.exit(0));
+  });
+}
 
-server.on('error', err => {
-  if (err.code === 'EADDRINUSE') {
-    console.error(`\n  Port ${PORT} is already in use.`);
-    console.error(`  Try: node server.js --port 4001\n`);
+if (require.main === module) {
+  if (COMMAND === 'export') {
+    runExport();
+  } else if (COMMAND === 'report') {
+    runReport();
   } else {
-    console.error(err);
+    startServer();
   }
-  process.exit(1);
-});
+}
 
-process.on('SIGINT', () => {
-  console.log('\n  Shutting down…');
-  for (const w of watchers.values()) w.close();
-  server.close(() => process.exit(0));
-});
+// For the tests in test/
+module.exports = { parseJSONL, syncSession, groupTurns, forecastSession, usageWindows, loadLedger, ingestSession, postWebhook, runHookCommand, sessionEvents };
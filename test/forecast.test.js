@@ -0,0 +1,109 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const { isolate } = require('./helpers');
+
+const home = isolate('forecast');
+const { forecastSession } = require('../server.js');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const T0  = Date.parse('2026-03-04T10:00:00Z');
+const min = n => T0 + n * 60000;
+
+// One main-thread call per turn at minute `at`, with context `ctx`
+const turn = (at, ctx, extra = {}) => ({
+  timestamp: new Date(min(at)).toISOString(), userMessage: { content: 'go' }, isSidechain: false,
+  input: 0, cacheRead: ctx, cacheCreated: 0, output: 100, totalContext: ctx, cost: 0.01, ...extra,
+});
+const session = (exchanges, compactions = []) => ({
+  exchanges, compactions, contextLimit: 200000,
+  totals: { cost: exchanges.reduce((n, ex) => n + ex.cost, 0) },
+});
+
+// ─── Context growth ───
+
+test('projects turns and minutes left from growth since the first measured turn', () => {
+  const f = forecastSession(session([turn(0, 20000), turn(2, 30000), turn(4, 40000)]), { now: min(5) });
+  assert.equal(f.compactAt, 160000, '80% of the window by default');
+  assert.equal(f.compactAtObserved, false);
+  assert.equal(f.current, 40000);
+  assert.equal(f.remaining, 120000);
+  assert.equal(f.growthPerTurn, 10000);
+  assert.equal(f.growthPerMin, 5000);
+  assert.equal(f.turnsLeft, 12);
+  assert.equal(f.minutesLeft, 24);
+});
+
+test('measures only the latest turns', () => {
+  const exs = [turn(0, 10000), turn(1, 90000), turn(2, 100000), turn(3, 110000)];
+  assert.equal(forecastSession(session(exs), { now: min(4), turns: 2 }).growthPerTurn, 10000);
+});
+
+test('an observed auto-compaction point wins over the configured percentage', () => {
+  const data = session([turn(0, 150000), turn(1, 8000), turn(2, 12000)], [
+    { timestamp: new Date(min(0.5)).toISOString(), trigger: 'auto', preTokens: 150000 },
+  ]);
+  const f = forecastSession(data, { compactPct: 50, now: min(3) });
+  assert.equal(f.compactAt, 150000);
+  assert.equal(f.compactAtObserved, true);
+  assert.equal(f.growthPerTurn, 4000, 'turns before the compaction are not counted');
+  assert.equal(f.turnsLeft, Math.ceil(138000 / 4000));
+});
+
+test('uses the configured percentage when the session never auto-compacted', () => {
+  const data = session([turn(0, 20000), turn(1, 30000)], [
+    { timestamp: new Date(min(0.5)).toISOString(), trigger: 'manual', preTokens: 25000 },
+  ]);
+  assert.equal(forecastSession(data, { compactPct: 50, now: min(2) }).compactAt, 100000);
+});
+
+test('subagent calls do not count toward the main context', () => {
+  const exs = [turn(0, 20000), turn(1, 90000, { isSidechain: true, userMessage: null }), turn(2, 30000)];
+  const f = forecastSession(session(exs), { now: min(3) });
+  assert.equal(f.current, 30000);
+  assert.equal(f.growthPerTurn, 10000);
+});
+
+test('one turn or no growth gives no projection', () => {
+  let f = forecastSession(session([turn(0, 20000)]), { now: min(1) });
+  assert.equal(f.growthPerTurn, null);
+  assert.equal(f.turnsLeft, null);
+  f = forecastSession(session([turn(0, 20000), turn(1, 20000)]), { now: min(2) });
+  assert.equal(f.growthPerTurn, 0);
+  assert.equal(f.turnsLeft, null);
+  assert.equal(f.minutesLeft, null);
+  assert.equal(forecastSession(session([]), { now: min(0) }).current, null);
+});
+
+// ─── Burn rate ───
+
+test('burn rate covers every call after the first in the window', () => {
+  const exs = [turn(0, 1000), turn(1, 1000, { isSidechain: true, userMessage: null }), turn(2, 1000)];
+  const f = forecastSession(session(exs), { now: min(3), until: min(63) });
+  assert.equal(f.idle, false);
+  assert.equal(f.tokensPerMin, 1100);
+  assert.ok(Math.abs(f.costPerMin - 0.01) < 1e-12);
+  assert.ok(Math.abs(f.projectedCost - (0.03 + 0.01 * 60)) < 1e-12);
+});
+
+test('calls older than the window are left out', () => {
+  const exs = [turn(0, 1000, { cost: 5 }), turn(50, 1000), turn(52, 1000)];
+  const f = forecastSession(session(exs), { now: min(53), windowMinutes: 30 });
+  assert.ok(Math.abs(f.costPerMin - 0.005) < 1e-12);
+});
+
+test('an idle session is projected to spend nothing more', () => {
+  const exs = [turn(0, 1000), turn(2, 1000)];
+  const f = forecastSession(session(exs), { now: min(40), until: min(100) });
+  assert.equal(f.idle, true);
+  assert.equal(f.tokensPerMin, null);
+  assert.equal(f.projectedCost, f.cost);
+});
+
+test('a time already past adds nothing', () => {
+  const f = forecastSession(session([turn(0, 1000), turn(2, 1000)]), { now: min(3), until: min(1) });
+  assert.equal(f.projectedCost, f.cost);
+});
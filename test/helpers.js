@@ -0,0 +1,35 @@
+'use strict';
+
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Points HOME and the config file at a fresh temporary directory, so that
+ * server.js never reads or writes the real ~/.claude or config.json. Call it
+ * before requiring ../server.js.
+ *
+ * @returns {string} the temporary home directory
+ */
+function isolate(name) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), `dashboard-${name}-`));
+  process.env.HOME = home;
+  process.env.USERPROFILE = home;
+  process.env.CLAUDE_DASHBOARD_CONFIG = path.join(home, 'config.json');
+  fs.writeFileSync(process.env.CLAUDE_DASHBOARD_CONFIG, '{}');
+  for (const key of ['CLAUDE_CONFIG_DIR', 'CLAUDE_DASHBOARD_PROJECTS_DIRS', 'CLAUDE_DASHBOARD_PORT',
+    'CLAUDE_DASHBOARD_HOST', 'CLAUDE_DASHBOARD_TOKEN', 'CLAUDE_DASHBOARD_LEDGER']) delete process.env[key];
+  return home;
+}
+
+/** Copies a fixture into `dir` and returns the copy's path. */
+function copyFixture(name, dir, as = name) {
+  fs.mkdirSync(dir, { recursive: true });
+  const dest = path.join(dir, as);
+  fs.copyFileSync(path.join(FIXTURES, name), dest);
+  return dest;
+}
+
+module.exports = { FIXTURES, isolate, copyFixture };
@@ -0,0 +1,145 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const http   = require('http');
+const path   = require('path');
+const { isolate } = require('./helpers');
+
+const tmp = isolate('hooks');
+const { postWebhook, runHookCommand, sessionEvents } = require('../server.js');
+
+// A stand-in receiver: answers with the queued statuses in order, then 200
+let statuses = [];
+let received = [];
+let server, url;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', d => { body += d; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(statuses.shift() || 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+const reset = (...queued) => { statuses = queued; received = []; };
+
+test('webhook posts the event as JSON', async () => {
+  reset();
+  const result = await postWebhook({ url }, { event: 'exchange', at: 'now', session: null });
+  assert.deepEqual(result, { ok: true, status: 200, attempts: 1 });
+  assert.equal(received.length, 1);
+  assert.equal(received[0].headers['content-type'], 'application/json');
+  assert.match(received[0].headers['user-agent'], /^claude-token-dashboard\//);
+  assert.deepEqual(received[0].body, { event: 'exchange', at: 'now', session: null });
+});
+
+test('webhook retries 5xx and 429 with backoff', async () => {
+  reset(500, 429);
+  const started = Date.now();
+  const result = await postWebhook({ url, backoffMs: 20 }, { event: 'compaction' });
+  assert.deepEqual(result, { ok: true, status: 200, attempts: 3 });
+  assert.equal(received.length, 3);
+  assert.ok(Date.now() - started >= 20 + 40, 'waits 20 ms, then 40 ms');
+});
+
+test('webhook gives up after the configured retries', async () => {
+  reset(503, 503, 503);
+  const result = await postWebhook({ url, retries: 2, backoffMs: 1 }, { event: 'exchange' });
+  assert.deepEqual(result, { ok: false, status: 503, attempts: 3 });
+});
+
+test('webhook does not retry client errors', async () => {
+  reset(400);
+  const result = await postWebhook({ url, backoffMs: 1 }, { event: 'exchange' });
+  assert.deepEqual(result, { ok: false, status: 400, attempts: 1 });
+});
+
+test('webhook retries connection failures', async () => {
+  const closed = http.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const port = closed.address().port;
+  await new Promise(resolve => closed.close(resolve));
+
+  const result = await postWebhook({ url: `http://127.0.0.1:${port}/`, retries: 1, backoffMs: 1 }, { event: 'exchange' });
+  assert.deepEqual(result, { ok: false, status: null, attempts: 2 });
+});
+
+test('webhook sends custom headers', async () => {
+  reset();
+  await postWebhook({ url, headers: { Authorization: 'Bearer abc' } }, { event: 'sessionIdle' });
+  assert.equal(received[0].headers.authorization, 'Bearer abc');
+});
+
+test('command hook gets the event on stdin and in the environment', async () => {
+  const out = path.join(tmp, 'hook-out');
+  const body = { event: 'sessionStart', session: { path: '/p/s.jsonl', project: 'proj', sessionId: 's' } };
+  const code = await runHookCommand({ command: `cat > "${out}.json"; echo "$CLAUDE_EVENT $CLAUDE_PROJECT $CLAUDE_SESSION_ID" > "${out}.env"` }, body);
+  assert.equal(code, 0);
+  assert.deepEqual(JSON.parse(fs.readFileSync(`${out}.json`, 'utf8')), body);
+  assert.equal(fs.readFileSync(`${out}.env`, 'utf8').trim(), 'sessionStart proj s');
+});
+
+test('command hook reports a failing exit code', async () => {
+  const code = await runHookCommand({ command: 'exit 3' }, { event: 'exchange' });
+  assert.equal(code, 3);
+});
+
+// ─── Event derivation ───
+
+const session = { path: '/p/s.jsonl', project: 'p', sessionId: 's' };
+const exchange = n => ({ uuid: `u${n}`, timestamp: `t${n}`, input: n, cacheRead: 0, cacheCreated: 0, output: 1, totalContext: n, cost: 0.001 });
+const data = (exchanges, compactions = 0) => ({
+  exchanges: Array.from({ length: exchanges }, (_, i) => exchange(i + 1)),
+  compactions: Array.from({ length: compactions }, (_, i) => ({ timestamp: `c${i}`, preTokens: 1000 })),
+  totals: { input: 0, cacheRead: 0, cacheCreated: 0, output: 0, cost: 0 },
+});
+const names = r => r.events.map(e => e.event);
+
+test('an existing session only takes a baseline', () => {
+  const r = sessionEvents(undefined, data(3, 1), session);
+  assert.deepEqual(names(r), []);
+  assert.equal(r.snapshot.exchanges, 3);
+  assert.equal(r.snapshot.compactions, 1);
+});
+
+test('a new session fires sessionStart and its exchanges', () => {
+  const r = sessionEvents(undefined, data(2), session, { isNew: true, now: 5 });
+  assert.deepEqual(names(r), ['sessionStart', 'exchange', 'exchange']);
+  assert.equal(r.events[1].details.exchange.uuid, 'u1');
+  assert.equal(r.snapshot.lastActivity, 5);
+});
+
+test('new exchanges and compactions fire once each', () => {
+  const first = sessionEvents(undefined, data(2), session).snapshot;
+  const r = sessionEvents(first, data(4, 1), session, { now: 9 });
+  assert.deepEqual(names(r), ['exchange', 'exchange', 'compaction']);
+  assert.deepEqual(r.events.slice(0, 2).map(e => e.details.exchange.uuid), ['u3', 'u4']);
+  assert.equal(r.snapshot.lastActivity, 9);
+  assert.deepEqual(names(sessionEvents(r.snapshot, data(4, 1), session)), []);
+});
+
+test('activity clears the idle flag', () => {
+  const idle = { exchanges: 1, compactions: 0, lastActivity: 1, idle: true };
+  assert.equal(sessionEvents(idle, data(1), session).snapshot.idle, true);
+  assert.equal(sessionEvents(idle, data(2), session).snapshot.idle, false);
+});
+
+test('a shrunken session resets the baseline without events', () => {
+  const prev = { exchanges: 5, compactions: 0, lastActivity: null, idle: false };
+  const r = sessionEvents(prev, data(2), session);
+  assert.deepEqual(names(r), []);
+  assert.equal(r.snapshot.exchanges, 2);
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const http   = require('http');
+const path   = require('path');
+const { spawn } = require('child_process');
+const { FIXTURES, isolate } = require('./helpers');
+
+// The ledger is read once, so it is written before server.js loads
+const home = isolate('ledger');
+const file = path.join(home, '.claude-token-dashboard', 'ledger.ndjson');
+const entry = (key, output) => JSON.stringify({ key, path: '/gone.jsonl', timestamp: '2026-03-01T10:00:00.000Z',
+  input: 1, cacheRead: 0, cacheCreated: 0, output, cost: 0.01 });
+fs.mkdirSync(path.dirname(file), { recursive: true });
+fs.writeFileSync(file, [entry('req_a', 8), entry('req_b', 5), entry('req_a', 95), 'torn{'].join('\n') + '\n');
+
+const { loadLedger, ingestSession, syncSession } = require('../server.js');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const lines = () => fs.readFileSync(file, 'utf8').trim().split('\n');
+
+test('the last line for a call wins on load', () => {
+  const { entries } = loadLedger();
+  assert.deepEqual(entries.map(e => [e.key, e.output]), [['req_a', 95], ['req_b', 5]]);
+});
+
+test('a streamed response is written once it is finished', () => {
+  const src     = fs.readFileSync(path.join(FIXTURES, 'streamed.jsonl'), 'utf8').split('\n');
+  const session = path.join(home, 'streaming.jsonl');
+  const before  = lines().length;
+
+  fs.writeFileSync(session, src.slice(0, 2).join('\n') + '\n');
+  assert.equal(ingestSession(session, syncSession(session).data), 0, 'still streaming');
+  fs.appendFileSync(session, src.slice(2, 4).join('\n') + '\n');
+  assert.equal(ingestSession(session, syncSession(session).data), 0, 'still streaming');
+
+  fs.appendFileSync(session, src.slice(4, 6).join('\n') + '\n');
+  assert.equal(ingestSession(session, syncSession(session).data), 1, 'the stop reason arrived');
+  assert.equal(ingestSession(session, syncSession(session).data), 0, 'unchanged calls are not written twice');
+
+  // The next response has no stop reason; the one after it shows it is done
+  fs.appendFileSync(session, src.slice(6, 9).join('\n') + '\n');
+  assert.equal(ingestSession(session, syncSession(session).data), 1);
+
+  const written = lines().slice(before).map(l => JSON.parse(l));
+  assert.deepEqual(written.map(e => [e.key, e.output]), [['req_31', 95], ['req_32', written[1].output]]);
+  assert.deepEqual(loadLedger().entries.filter(e => e.key === 'req_31').map(e => e.output), [95]);
+});
+
+test('/api/history takes days as YYYY-MM-DD', async () => {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js'), '--port', '0'], { env: process.env });
+  try {
+    const base = await new Promise((resolve, reject) => {
+      let out = '';
+      child.stdout.on('data', d => {
+        out += d;
+        const m = out.match(/URL\s*:\s*(http:\/\/\S+?)\//);
+        if (m) resolve(m[1]);
+      });
+      child.on('exit', code => reject(new Error(`server exited with ${code}: ${out}`)));
+    });
+    const status = query => new Promise((resolve, reject) => {
+      http.get(`${base}/api/history?${query}`, res => { res.resume(); resolve(res.statusCode); }).on('error', reject);
+    });
+    assert.equal(await status('from=2026-03-01&to=2026-03-01'), 200);
+    assert.equal(await status('from=yesterday'), 400);
+    assert.equal(await status('to=2026-3-1'), 400);
+    assert.equal(await status('from=2026-02-30'), 400);
+    assert.equal(await status('to=2026-13-01'), 400);
+  } finally { child.kill(); }
+});
@@ -0,0 +1,255 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+const { FIXTURES, isolate, copyFixture } = require('./helpers');
+
+const home = isolate('parser');
+const { parseJSONL, syncSession, groupTurns } = require('../server.js');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const fixture = name => parseJSONL(path.join(FIXTURES, name));
+const prompts = data => data.exchanges.map(ex => ex.userMessage && ex.userMessage.content);
+
+// ─── User messages ───
+
+test('pairs each prompt with the next main-thread API call', () => {
+  const data = fixture('session.jsonl');
+  assert.deepEqual(data.exchanges.map(ex => ex.uuid), ['a1', 'a2', 'a3', 's2', 'a4']);
+  assert.deepEqual(prompts(data), ['Add a retry helper to the HTTP client', null, 'Now add tests for it', null, null]);
+  assert.equal(data.exchanges[0].userMessage.uuid, 'u1');
+});
+
+test('skips tool results, meta records and command plumbing', () => {
+  const data = fixture('session.jsonl');
+  const uuids = data.exchanges.map(ex => ex.userMessage?.uuid).filter(Boolean);
+  assert.deepEqual(uuids, ['u1', 'u7']); // not u2/u8 (tool_result), u3 (isMeta) or u4/u5 (commands)
+});
+
+test('a later prompt replaces one that got no response', () => {
+  const data = fixture('session.jsonl');
+  assert.equal(data.exchanges[2].userMessage.content, 'Now add tests for it'); // not "Actually, wait"
+});
+
+test('subagent prompts are not user turns', () => {
+  const data = fixture('session.jsonl');
+  const sub  = data.exchanges[3];
+  assert.equal(sub.isSidechain, true);
+  assert.equal(sub.agentId, 'agent-7');
+  assert.equal(sub.userMessage, null);
+  assert.equal(data.exchanges[4].userMessage, null, 'the subagent call does not consume the main-thread prompt');
+});
+
+test('records where the session ran and its first prompt', () => {
+  const data = fixture('session.jsonl');
+  assert.equal(data.cwd, '/home/dev/app');
+  assert.equal(data.gitBranch, 'feature/retry');
+  assert.equal(data.title, 'Add a retry helper to the HTTP client');
+  assert.equal(fixture('compaction.jsonl').title, 'Refactor the storage layer');
+});
+
+test('each call keeps the directory and branch it ran on', () => {
+  const data = fixture('branches.jsonl');
+  assert.deepEqual(data.exchanges.map(ex => ex.gitBranch), ['main', 'main', 'fix/login-redirect', 'fix/login-redirect']);
+  assert.deepEqual(data.exchanges.map(ex => ex.cwd), ['/home/dev/app', '/home/dev/app', '/home/dev/app/web', '/home/dev/app/web']);
+  assert.equal(data.cwd, '/home/dev/app', 'the session keeps the directory it started in');
+  assert.equal(data.gitBranch, 'fix/login-redirect');
+});
+
+// ─── Usage ───
+
+test('reads token usage, tools and response text', () => {
+  const [a1] = fixture('session.jsonl').exchanges;
+  assert.equal(a1.model, 'claude-sonnet-4-5-20250929');
+  assert.equal(a1.requestId, 'req_01');
+  assert.equal(a1.input, 12);
+  assert.equal(a1.cacheCreated, 18000);
+  assert.equal(a1.cacheRead, 0);
+  assert.equal(a1.output, 85);
+  assert.equal(a1.totalContext, 12 + 18000);
+  assert.equal(a1.response, "I'll look at the client first.");
+  assert.deepEqual(a1.tools.map(t => t.name), ['Read']);
+  assert.ok(a1.cost > 0);
+});
+
+test('totals add up every call and keep the subagent share apart', () => {
+  const data = fixture('session.jsonl');
+  const sum = key => data.exchanges.reduce((n, ex) => n + ex[key], 0);
+  for (const key of ['input', 'cacheRead', 'cacheCreated', 'output']) assert.equal(data.totals[key], sum(key), key);
+  assert.equal(data.sidechainTotals.input, 900);
+  assert.equal(data.sidechainTotals.output, 30);
+  assert.equal(data.sessionId, '3f2a9c1e-0000-4000-8000-000000000001');
+  assert.equal(data.model, 'claude-sonnet-4-5-20250929');
+});
+
+test('a context past 200k means the 1M window', () => {
+  assert.equal(fixture('session.jsonl').contextLimit, 200000);
+  const lines = fs.readFileSync(path.join(FIXTURES, 'session.jsonl'), 'utf8').trim().split('\n').map(l => JSON.parse(l));
+  const big = lines.find(r => r.uuid === 'a1');
+  big.message.usage.cache_read_input_tokens = 250000;
+  const file = path.join(home, 'long-context.jsonl');
+  fs.writeFileSync(file, lines.map(r => JSON.stringify(r)).join('\n') + '\n');
+  const data = parseJSONL(file);
+  assert.equal(data.model, 'claude-sonnet-4-5-20250929', 'the model id has no [1m] tag');
+  assert.equal(data.contextLimit, 1000000, 'and stays so once the context is smaller again');
+});
+
+// ─── Compactions ───
+
+test('records compact boundaries with their trigger and size', () => {
+  const data = fixture('compaction.jsonl');
+  assert.equal(data.compactCount, 2);
+  assert.deepEqual(data.compactions.map(c => [c.trigger, c.preTokens]), [['auto', 152908], ['manual', 16200]]);
+  assert.equal(data.compactPreTokens, 16200);
+});
+
+test('marks the compaction summary and the cache miss after it', () => {
+  const [a1, a2, a3] = fixture('compaction.jsonl').exchanges;
+  assert.equal(a1.cacheMiss, null);
+  assert.equal(a2.userMessage.isCompactSummary, true);
+  assert.equal(a2.cacheMiss.cause, 'compaction');
+  assert.equal(a2.cacheMiss.wastedTokens, 14000);
+  assert.equal(a3.userMessage.content, "What's left?");
+});
+
+// ─── Malformed input ───
+
+test('ignores blank, malformed and truncated lines and records without usage', () => {
+  const data = fixture('malformed.jsonl');
+  assert.deepEqual(data.exchanges.map(ex => ex.uuid), ['a1', 'a2']);
+  assert.equal(data.exchanges[0].userMessage.content, 'Why does login fail?');
+  assert.equal(data.totals.output, 64 + 12);
+});
+
+test('a missing file gives null', () => {
+  const error = console.error;
+  console.error = () => {};
+  try { assert.equal(parseJSONL(path.join(home, 'missing.jsonl')), null); }
+  finally { console.error = error; }
+});
+
+// ─── Partial writes ───
+
+test('syncSession waits for a half-written line to be completed', () => {
+  const lines = fs.readFileSync(path.join(FIXTURES, 'session.jsonl'), 'utf8').split('\n');
+  const file  = path.join(home, 'partial.jsonl');
+  const cut   = lines[3].length >> 1;
+  fs.writeFileSync(file, lines.slice(0, 3).join('\n') + '\n' + lines[3].slice(0, cut));
+
+  let r = syncSession(file);
+  assert.equal(r.reset, true);
+  assert.deepEqual(r.data.exchanges.map(ex => ex.uuid), ['a1']);
+
+  fs.appendFileSync(file, lines[3].slice(cut) + '\n');
+  r = syncSession(file);
+  assert.equal(r.reset, false);
+  assert.equal(r.changed, true);
+  assert.deepEqual(r.data.exchanges.map(ex => ex.uuid), ['a1', 'a2']);
+
+  r = syncSession(file);
+  assert.equal(r.changed, false);
+});
+
+test('syncSession parses only appended lines and matches a full parse', () => {
+  const file  = copyFixture('session.jsonl', home, 'appended.jsonl');
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  fs.writeFileSync(file, lines.slice(0, 4).join('\n') + '\n');
+  const first = syncSession(file).data.exchanges[0];
+
+  fs.appendFileSync(file, lines.slice(4).join('\n'));
+  const r = syncSession(file);
+  assert.equal(r.reset, false);
+  assert.equal(r.data.exchanges[0], first, 'earlier exchanges are kept, not re-parsed');
+  assert.deepEqual(r.data.exchanges.map(ex => ex.uuid), fixture('session.jsonl').exchanges.map(ex => ex.uuid));
+  assert.deepEqual(r.data.totals, fixture('session.jsonl').totals);
+});
+
+test('syncSession takes a complete last line without a trailing newline', () => {
+  const file = copyFixture('malformed.jsonl', home);
+  assert.deepEqual(syncSession(file).data.exchanges.map(ex => ex.uuid), ['a1', 'a2']);
+});
+
+test('syncSession re-parses a truncated file', () => {
+  const file = copyFixture('session.jsonl', home, 'truncated.jsonl');
+  assert.equal(syncSession(file).data.exchanges.length, 5);
+  fs.copyFileSync(path.join(FIXTURES, 'malformed.jsonl'), file);
+  const r = syncSession(file);
+  assert.equal(r.reset, true);
+  assert.deepEqual(r.data.exchanges.map(ex => ex.uuid), ['a1', 'a2']);
+});
+
+// ─── Streamed responses ───
+
+test('records of one streamed response become one exchange', () => {
+  const data = fixture('streamed.jsonl');
+  assert.deepEqual(data.exchanges.map(ex => ex.requestId), ['req_31', 'req_32', 'req_33']);
+  const [ex] = data.exchanges;
+  assert.equal(ex.uuid, 'a1');
+  assert.equal(ex.userMessage.content, 'Why is the build slow?');
+  assert.equal(ex.response, 'Let me look at the webpack config.');
+  assert.deepEqual(ex.tools.map(t => t.name), ['Read', 'Grep']);
+  assert.equal(groupTurns(data.exchanges)[0].exs.length, 3);
+});
+
+test('usage of a streamed response is counted once', () => {
+  const data = fixture('streamed.jsonl');
+  const [ex] = data.exchanges;
+  assert.equal(ex.input, 10);
+  assert.equal(ex.cacheRead, 20000);
+  assert.equal(ex.output, 95, 'the largest output count wins');
+  assert.equal(data.totals.input, 10 + 4 + 2);
+  assert.equal(data.totals.output, 95 + 40 + 12);
+  assert.equal(data.totals.cacheRead, 20000 + 20500 + 20800);
+});
+
+test('records without a message id merge by requestId', () => {
+  const ex = fixture('streamed.jsonl').exchanges[2];
+  assert.equal(ex.uuid, 'a6');
+  assert.equal(ex.response, 'Turn them off with\n\n`devtool: false`.');
+  assert.equal(ex.output, 12);
+});
+
+test('a response still being written is updated in place', () => {
+  const lines = fs.readFileSync(path.join(FIXTURES, 'streamed.jsonl'), 'utf8').split('\n');
+  const file  = path.join(home, 'streaming.jsonl');
+  fs.writeFileSync(file, lines.slice(0, 2).join('\n') + '\n');
+  const before = syncSession(file).data.exchanges[0];
+  assert.equal(before.output, 8);
+
+  fs.appendFileSync(file, lines.slice(2, 6).join('\n') + '\n');
+  const { data } = syncSession(file);
+  assert.equal(data.exchanges.length, 1);
+  assert.notEqual(data.exchanges[0], before, 'replaced, so live updates resend it');
+  assert.equal(data.exchanges[0].output, 95);
+  assert.deepEqual(data.exchanges[0].tools.map(t => t.name), ['Read', 'Grep']);
+  assert.equal(data.totals.output, 95);
+  assert.ok(Math.abs(data.totals.cost - data.exchanges[0].cost) < 1e-12);
+});
+
+// ─── Turns ───
+
+test('groupTurns starts a turn at each prompt', () => {
+  const turns = groupTurns(fixture('session.jsonl').exchanges);
+  assert.equal(turns.length, 2);
+  assert.equal(turns[0].user.content, 'Add a retry helper to the HTTP client');
+  assert.deepEqual(turns[0].exs.map(ex => ex.uuid), ['a1', 'a2']);
+  assert.deepEqual(turns[1].exs.map(ex => ex.uuid), ['a3', 's2', 'a4']);
+});
+
+test('groupTurns keeps calls before the first prompt in a turn of their own', () => {
+  const [a1, a2] = fixture('session.jsonl').exchanges;
+  const turns = groupTurns([a2, a1]);
+  assert.equal(turns.length, 2);
+  assert.equal(turns[0].user, null);
+  assert.deepEqual(turns[0].exs, [a2]);
+  assert.deepEqual(turns[1].exs, [a1]);
+});
+
+test('groupTurns makes the compaction summary a turn', () => {
+  const turns = groupTurns(fixture('compaction.jsonl').exchanges);
+  assert.deepEqual(turns.map(t => !!t.user.isCompactSummary), [false, true, false]);
+  assert.deepEqual(groupTurns([]), []);
+});
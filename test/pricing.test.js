@@ -0,0 +1,54 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+const { spawnSync } = require('child_process');
+const { FIXTURES, isolate, copyFixture } = require('./helpers');
+
+// Overrides are read once, so the config file is written before server.js loads
+const home = isolate('pricing');
+fs.writeFileSync(process.env.CLAUDE_DASHBOARD_CONFIG, JSON.stringify({
+  pricing: { 'claude-sonnet-4': { output: 20 }, 'claude-sonnet-4-5-2025': { input: 4 } },
+}));
+const { parseJSONL } = require('../server.js');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const run = (...args) => spawnSync(process.execPath, [SERVER, 'report', '--json', ...args], { env: process.env, encoding: 'utf8' });
+
+test('a partial price keeps the rates it leaves out', () => {
+  const [a1] = parseJSONL(path.join(FIXTURES, 'session.jsonl')).exchanges;
+  // input from the longer prefix, cache writes from the built-in claude-sonnet-4, output from the override
+  assert.ok(Math.abs(a1.cost - (12 * 4 + 18000 * 3.75 + 85 * 20) / 1e6) < 1e-12);
+});
+
+test('invalid overrides stop with a message naming them', () => {
+  const file = path.join(home, 'bad.json');
+  const cases = [
+    ['--pricing', { 'claude-sonnet-4': { output: '15' } }, /"claude-sonnet-4" output must be a number/],
+    ['--pricing', { 'claude-sonnet-4': { output: -1 } }, /output must be a number of at least 0/],
+    ['--pricing', { 'my-model': { output: 2 } }, /"my-model" needs input, cacheWrite, cacheRead/],
+    ['--alerts', { dailyCost: 'lots' }, /"dailyCost" must be a number of at least 0 or null/],
+    ['--alerts', { weeklyCost: 5 }, /"weeklyCost" is not a known threshold/],
+    ['--context-limits', { '': 0 }, /"" must be a number above 0/],
+  ];
+  for (const [flag, table, message] of cases) {
+    fs.writeFileSync(file, JSON.stringify(table));
+    const r = run(flag, file);
+    assert.equal(r.status, 1, `${flag} ${JSON.stringify(table)}`);
+    assert.match(r.stderr, message);
+  }
+});
+
+test('the command can follow the options', () => {
+  copyFixture('session.jsonl', path.join(home, '.claude', 'projects', '-home-dev-app'));
+  const r = spawnSync(process.execPath, [SERVER, '--top', '1', 'report', '--json'], { env: process.env, encoding: 'utf8' });
+  assert.equal(r.status, 0, r.stderr);
+  assert.ok(JSON.parse(r.stdout).totals);
+  const twice = spawnSync(process.execPath, [SERVER, 'report', 'export'], { env: process.env, encoding: 'utf8' });
+  assert.equal(twice.status, 1);
+  assert.match(twice.stderr, /Unexpected argument "export"/);
+});
@@ -0,0 +1,354 @@
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const http   = require('http');
+const path   = require('path');
+const { spawn } = require('child_process');
+const { FIXTURES, isolate, copyFixture } = require('./helpers');
+
+// The server runs as a child process on a free port, reading sessions from a
+// temporary ~/.claude/projects that the tests write to.
+const home     = isolate('server');
+const projects = path.join(home, '.claude', 'projects');
+const appDir   = path.join(projects, '-home-dev-app');
+const session  = copyFixture('session.jsonl', appDir, '3f2a9c1e-0000-4000-8000-000000000001.jsonl');
+const other    = copyFixture('compaction.jsonl', path.join(projects, '-home-dev-api'), '3f2a9c1e-0000-4000-8000-000000000002.jsonl');
+fs.utimesSync(other, new Date('2026-03-03T15:00:00Z'), new Date('2026-03-03T15:00:00Z'));
+
+let child, base;
+
+before(async () => {
+  child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js'), '--port', '0', '--no-ledger'], {
+    env:   process.env,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  base = await new Promise((resolve, reject) => {
+    let out = '';
+    child.stdout.on('data', d => {
+      out += d;
+      const m = out.match(/URL\s*:\s*(http:\/\/\S+?)\//);
+      if (m) resolve(m[1]);
+    });
+    child.on('exit', code => reject(new Error(`server exited with ${code}: ${out}`)));
+  });
+});
+
+after(() => {
+  child.kill();
+  fs.rmSync(home, { recursive: true, force: true });
+});
+
+function get(pathname) {
+  return new Promise((resolve, reject) => {
+    http.get(base + pathname, res => {
+      let body = '';
+      res.on('data', d => { body += d; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Opens an SSE stream. `next(predicate)` resolves with the first message,
+ * received so far or later, that matches and hasn't been returned yet.
+ */
+function events(query) {
+  const messages = [];
+  const waiting  = [];
+  const req = http.get(`${base}/events?${new URLSearchParams(query)}`, res => {
+    let buf = '';
+    res.on('data', d => {
+      buf += d;
+      let i;
+      while ((i = buf.indexOf('\n\n')) >= 0) {
+        const chunk = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        if (!chunk.startsWith('data: ')) continue;
+        messages.push(JSON.parse(chunk.slice(6)));
+        for (const w of waiting.splice(0)) w();
+      }
+    });
+  });
+
+  function next(predicate, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('no matching event')), timeoutMs);
+      const check = () => {
+        const i = messages.findIndex(predicate);
+        if (i < 0) return waiting.push(check);
+        clearTimeout(timer);
+        resolve(messages.splice(i, 1)[0]);
+      };
+      check();
+    });
+  }
+  return { next, close: () => req.destroy() };
+}
+
+const byType = type => msg => msg.type === type;
+
+test('/api/sessions lists every session, most recent first', async () => {
+  const res = await get('/api/sessions');
+  assert.equal(res.status, 200);
+  assert.match(res.headers['content-type'], /application\/json/);
+  const sessions = JSON.parse(res.body);
+  assert.deepEqual(sessions.map(s => s.path), [session, other]);
+  assert.equal(sessions[0].project, '-home-dev-app');
+  assert.equal(sessions[0].sessionId, '3f2a9c1e-0000-4000-8000-000000000001');
+  assert.equal(sessions[0].size, fs.statSync(session).size);
+});
+
+test('/api/sessions describes each session', async () => {
+  const [s] = JSON.parse((await get('/api/sessions')).body);
+  assert.equal(s.cwd, '/home/dev/app');
+  assert.equal(s.gitBranch, 'feature/retry');
+  assert.equal(s.title, 'Add a retry helper to the HTTP client');
+  assert.equal(s.model, 'claude-sonnet-4-5-20250929');
+  assert.equal(s.exchanges, 5);
+  assert.equal(s.totalTokens, 12 + 18000 + 85 + 4 + 600 + 18000 + 240 + 6 + 400 + 18600 + 60 + 900 + 30 + 3 + 150 + 19000 + 120);
+  assert.equal(s.durationMs, 156000); // first to last API call
+});
+
+test('/api/attribution rolls usage up by repository and branch', async () => {
+  const res = await get('/api/attribution');
+  assert.equal(res.status, 200);
+  const { totals, repos } = JSON.parse(res.body);
+  assert.equal(totals.exchanges, 5 + 3);
+  const app = repos.find(r => r.repo === '/home/dev/app');
+  assert.equal(app.name, 'app');
+  assert.deepEqual(app.branches.map(b => [b.branch, b.exchanges, b.sessions]), [['feature/retry', 5, 1]]);
+  assert.equal(app.branches[0].firstDay, '2026-03-02');
+  const none = repos.find(r => r.repo === null);
+  assert.deepEqual(none.branches.map(b => [b.branch, b.exchanges]), [[null, 3]]);
+});
+
+test('/api/attribution filters by day and exports CSV', async () => {
+  const { repos } = JSON.parse((await get('/api/attribution?from=2026-03-03&to=2026-03-03')).body);
+  assert.deepEqual(repos.map(r => r.repo), [null]);
+
+  const csv = await get('/api/attribution?format=csv&to=2026-03-02');
+  assert.match(csv.headers['content-type'], /text\/csv/);
+  const [header, row, ...rest] = csv.body.trim().split('\n');
+  assert.match(header, /^repo,branch,sessions,exchanges,/);
+  assert.match(row, /^\/home\/dev\/app,feature\/retry,1,5,/);
+  assert.deepEqual(rest, []);
+
+  assert.equal((await get('/api/attribution?from=yesterday')).status, 400);
+});
+
+test('the exchange CSV keeps its original columns first', async () => {
+  const csv = await get('/api/session?format=csv&path=' + encodeURIComponent(session));
+  const [header, row] = csv.body.split('\r\n');
+  assert.match(header, /^exchange,turn,timestamp,uuid,requestId,model,isSidechain,agentId,input,/);
+  assert.match(header, /,cacheMiss,cacheWastedTokens,cwd,gitBranch$/);
+  assert.match(row, /,\/home\/dev\/app,/);
+});
+
+test('/api/search takes a positive limit', async () => {
+  const res = await get('/api/search?q=the&limit=1');
+  assert.equal(res.status, 200);
+  assert.equal(JSON.parse(res.body).length, 1);
+  assert.equal((await get('/api/search?q=the&limit=-5')).status, 400);
+  assert.equal((await get('/api/search?q=the&limit=many')).status, 400);
+});
+
+test('/api/search takes days as YYYY-MM-DD', async () => {
+  const all  = JSON.parse((await get('/api/search?q=the')).body);
+  const some = JSON.parse((await get('/api/search?q=the&from=2026-03-03&to=2026-03-03')).body);
+  assert.ok(some.length > 0 && some.length < all.length);
+  assert.ok(some.every(r => r.path === other));
+  assert.equal((await get('/api/search?q=the&from=yesterday')).status, 400);
+  assert.equal((await get('/api/search?q=the&to=2026-3-2')).status, 400);
+});
+
+test('/api/windows splits usage from every session into 5-hour windows', async () => {
+  const res = await get('/api/windows');
+  assert.equal(res.status, 200);
+  const w = JSON.parse(res.body);
+  assert.equal(w.active, null);
+  assert.deepEqual(w.history.map(h => [h.start, h.exchanges, h.sessions]), [
+    ['2026-03-03T14:20:00.000Z', 3, 1],
+    ['2026-03-02T09:00:04.000Z', 5, 1],
+  ]);
+  assert.deepEqual(w.peak, w.history.reduce((p, h) => (h.total > p.total ? h : p)));
+  assert.equal(JSON.parse((await get('/api/windows?limit=1')).body).history.length, 1);
+  assert.equal((await get('/api/windows?limit=0')).status, 400);
+});
+
+test('the page embeds the same groupTurns and forecastSession as the server', async () => {
+  const res = await get('/');
+  assert.equal(res.status, 200);
+  const { groupTurns, forecastSession } = require('../server.js');
+  assert.ok(res.body.includes(groupTurns.toString()));
+  assert.ok(res.body.includes(forecastSession.toString()));
+});
+
+test('the page escapes quotes in repository, branch and path attributes', async () => {
+  const page = (await get('/')).body;
+  const esc  = new Function(`${page.match(/^const esc = .*$/m)[0]} return esc;`)();
+  const repo = '/home/dev/a"b onmouseover="x';
+  assert.equal(`<tr title="${esc(repo)}">`, '<tr title="/home/dev/a&quot;b onmouseover=&quot;x">');
+  assert.equal(esc("it's"), 'it&#39;s');
+});
+
+test('/events sends the session list and the parsed session', async () => {
+  const stream = events({ path: session });
+  try {
+    const list = await stream.next(byType('sessions'));
+    assert.equal(list.sessions.length, 2);
+    const init = await stream.next(byType('init'));
+    assert.equal(init.path, session);
+    assert.equal(init.data.exchanges.length, 5);
+    assert.equal(init.data.sessionId, '3f2a9c1e-0000-4000-8000-000000000001');
+  } finally { stream.close(); }
+});
+
+test('/events rejects a path outside the projects directory', async () => {
+  const res = await get(`/events?path=${encodeURIComponent(path.join(FIXTURES, 'session.jsonl'))}`);
+  assert.equal(res.status, 404);
+});
+
+test('appended lines arrive as a delta', async () => {
+  const stream = events({ path: session });
+  try {
+    await stream.next(byType('init'));
+    const lines = fs.readFileSync(path.join(FIXTURES, 'malformed.jsonl'), 'utf8').split('\n');
+    fs.appendFileSync(session, lines[3] + '\n' + lines[8] + '\n');
+
+    const delta = await stream.next(byType('delta'));
+    assert.equal(delta.path, session);
+    assert.equal(delta.from, 5);
+    assert.deepEqual(delta.exchanges.map(ex => ex.uuid), ['a1']);
+    assert.equal(delta.exchanges[0].userMessage.content, 'Why does login fail?');
+  } finally { stream.close(); }
+});
+
+test('reading every session in between does not swallow the delta', async () => {
+  const stream = events({ path: session });
+  try {
+    await stream.next(byType('init'));
+    const rec = JSON.parse(fs.readFileSync(session, 'utf8').trim().split('\n').pop());
+    Object.assign(rec, { uuid: 'a9', requestId: 'req_09', timestamp: '2026-03-02T09:10:00.000Z' });
+    rec.message.id = 'msg_09';
+    fs.appendFileSync(session, JSON.stringify(rec) + '\n');
+    // Within the watcher's debounce: these read the appended line first
+    await get('/api/overview');
+    await get('/api/sessions');
+
+    const delta = await stream.next(byType('delta'));
+    assert.deepEqual(delta.exchanges.map(ex => ex.uuid), ['a9']);
+  } finally { stream.close(); }
+});
+
+test('another viewer connecting in between does not swallow the delta', async () => {
+  const stream = events({ path: session });
+  let late;
+  try {
+    await stream.next(byType('init'));
+    const rec = JSON.parse(fs.readFileSync(session, 'utf8').trim().split('\n').pop());
+    Object.assign(rec, { uuid: 'a10', requestId: 'req_10', timestamp: '2026-03-02T09:11:00.000Z' });
+    rec.message.id = 'msg_10';
+    fs.appendFileSync(session, JSON.stringify(rec) + '\n');
+    // Within the watcher's debounce: the new viewer's init reads the appended line first
+    late = events({ path: session });
+    const init = await late.next(byType('init'));
+    assert.equal(init.data.exchanges.at(-1).uuid, 'a10');
+
+    const delta = await stream.next(byType('delta'));
+    assert.deepEqual(delta.exchanges.map(ex => ex.uuid), ['a10']);
+  } finally { stream.close(); late?.close(); }
+});
+
+test('a streamed response is resent as its records arrive', async () => {
+  const stream = events({ path: other });
+  try {
+    await stream.next(byType('init'));
+    const lines = fs.readFileSync(path.join(FIXTURES, 'streamed.jsonl'), 'utf8').split('\n');
+    fs.appendFileSync(other, lines.slice(0, 2).join('\n') + '\n');
+    const first = await stream.next(byType('delta'));
+    assert.equal(first.from, 3);
+    assert.equal(first.exchanges[0].output, 8);
+
+    fs.appendFileSync(other, lines.slice(2, 6).join('\n') + '\n');
+    const second = await stream.next(byType('delta'));
+    assert.equal(second.from, 3);
+    assert.equal(second.exchanges.length, 1);
+    assert.equal(second.exchanges[0].output, 95);
+    assert.equal(second.meta.totals.output, 900 + 50 + 40 + 95);
+  } finally { stream.close(); }
+});
+
+test('the turn drawer joins every record of a streamed response', async () => {
+  const res = await get(`/api/turn?path=${encodeURIComponent(other)}&requestId=req_31`);
+  assert.equal(res.status, 200);
+  const [call] = JSON.parse(res.body).calls;
+  assert.equal(call.uuid, 'a1');
+  assert.deepEqual(call.blocks.map(b => b.type), ['thinking', 'text', 'tool_use', 'tool_use']);
+  assert.equal(call.blocks[2].result.text, 'module.exports = {};');
+  assert.equal(call.blocks[3].name, 'Grep');
+  assert.equal(call.usage.output_tokens, 95, 'usage of the last record');
+  assert.equal(call.stopReason, 'tool_use');
+});
+
+test('a rewritten session file is sent again in full', async () => {
+  const stream = events({ path: session });
+  try {
+    await stream.next(byType('init'));
+    fs.copyFileSync(path.join(FIXTURES, 'malformed.jsonl'), session);
+
+    const update = await stream.next(byType('update'));
+    assert.deepEqual(update.data.exchanges.map(ex => ex.uuid), ['a1', 'a2']);
+  } finally { stream.close(); }
+});
+
+test('a new session file updates the session list', async () => {
+  const stream = events({});
+  try {
+    await stream.next(byType('sessions'));
+    const added = copyFixture('compaction.jsonl', path.join(projects, '-home-dev-web'), '3f2a9c1e-0000-4000-8000-000000000003.jsonl');
+
+    const list = await stream.next(msg => msg.type === 'sessions' && msg.sessions.some(s => s.path === added));
+    assert.equal(list.sessions[0].path, added, 'the newest session comes first');
+    assert.equal(list.sessions.length, 3);
+  } finally { stream.close(); }
+});
+
+test('a session that moved into a subdirectory is split until both are one repository', async () => {
+  // branches.jsonl starts in app/ on main and moves to app/web on fix/login-redirect
+  const repo = path.join(home, 'app');
+  const src  = fs.readFileSync(path.join(FIXTURES, 'branches.jsonl'), 'utf8').replaceAll('/home/dev/app', repo);
+  fs.mkdirSync(path.join(repo, 'web'), { recursive: true });
+  fs.mkdirSync(path.join(projects, '-home-dev-app-web'), { recursive: true });
+  fs.writeFileSync(path.join(projects, '-home-dev-app-web', '3f2a9c1e-0000-4000-8000-000000000005.jsonl'), src);
+
+  const day = async () => JSON.parse((await get('/api/attribution?from=2026-03-06&to=2026-03-06')).body).repos
+    .map(r => [r.repo, r.sessions, r.branches.map(b => [b.branch, b.exchanges])]);
+
+  assert.deepEqual(await day(), [
+    [repo, 1, [['main', 2]]],
+    [path.join(repo, 'web'), 1, [['fix/login-redirect', 2]]],
+  ], 'outside a repository each directory stands for itself');
+
+  fs.mkdirSync(path.join(repo, '.git'));
+  assert.deepEqual(await day(), [
+    [repo, 1, [['main', 2], ['fix/login-redirect', 2]]],
+  ], 'a repository created later is picked up');
+});
+
+test('CSV exports do not let prompts run as spreadsheet formulas', async () => {
+  const file = path.join(projects, '-home-dev-app', '3f2a9c1e-0000-4000-8000-000000000006.jsonl');
+  const rec  = { sessionId: '3f2a9c1e-0000-4000-8000-000000000006', cwd: '/home/dev/app', isSidechain: false };
+  fs.writeFileSync(file, [
+    { ...rec, type: 'user', uuid: 'u1', timestamp: '2026-03-07T10:00:00.000Z', message: { role: 'user', content: '=HYPERLINK("http://example.com","x")' } },
+    { ...rec, type: 'assistant', uuid: 'a1', requestId: 'req_61', timestamp: '2026-03-07T10:00:05.000Z', message: {
+      type: 'message', role: 'assistant', model: 'claude-sonnet-4-5-20250929', content: [{ type: 'text', text: '-1 is the answer' }],
+      usage: { input_tokens: 5, cache_creation_input_tokens: 0, cache_read_input_tokens: 0, output_tokens: 4 },
+    } },
+  ].map(r => JSON.stringify(r)).join('\n') + '\n');
+
+  const csv = await get('/api/session?format=csv&rows=turns&path=' + encodeURIComponent(file));
+  const [, row] = csv.body.split('\r\n');
+  assert.match(row, /,"'=HYPERLINK\(""http:\/\/example\.com"",""x""\)",'-1 is the answer$/);
+});
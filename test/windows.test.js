@@ -0,0 +1,96 @@
+'use strict';
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const { isolate } = require('./helpers');
+
+const home = isolate('windows');
+const { usageWindows } = require('../server.js');
+
+after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const T0  = Date.parse('2026-03-04T08:00:00Z');
+const min = n => T0 + n * 60000;
+const iso = n => new Date(min(n)).toISOString();
+
+// One API call at minute `at` of session `path`: 1,000 tokens for $0.10
+const call = (at, path = 'a.jsonl') => ({ t: min(at), path, input: 100, cacheRead: 800, cacheCreated: 50, output: 50, cost: 0.1 });
+
+// ─── Splitting ───
+
+test('a window opens at the first call after the previous one closed', () => {
+  const w = usageWindows([call(0), call(299), call(300), call(500), call(900)], { now: min(2000) });
+  assert.equal(w.active, null);
+  assert.equal(w.windows, 3);
+  assert.deepEqual(w.history.map(h => [h.start, h.end, h.exchanges]), [
+    [iso(900), iso(1200), 1],
+    [iso(300), iso(600), 2],
+    [iso(0), iso(300), 2],
+  ]);
+  assert.equal(w.history[2].lastCallAt, iso(299));
+});
+
+test('calls from every session share one timeline', () => {
+  const w = usageWindows([call(120, 'b.jsonl'), call(0, 'a.jsonl'), call(60, 'a.jsonl')], { now: min(1000) });
+  assert.equal(w.windows, 1);
+  const [h] = w.history;
+  assert.equal(h.start, iso(0));
+  assert.equal(h.sessions, 2);
+  assert.equal(h.exchanges, 3);
+  assert.equal(h.total, 3000);
+  assert.equal(h.cacheRead, 2400);
+  assert.equal(h.cost, 0.3);
+});
+
+test('history keeps the newest windows up to the limit', () => {
+  const calls = [0, 400, 800, 1200].map(at => call(at));
+  const w = usageWindows(calls, { now: min(5000), limit: 2 });
+  assert.equal(w.windows, 4);
+  assert.deepEqual(w.history.map(h => h.start), [iso(1200), iso(800)]);
+});
+
+test('no calls, no windows', () => {
+  assert.deepEqual(usageWindows([], { now: min(0) }), {
+    generatedAt: iso(0), windowHours: 5, active: null, peak: null, windows: 0, history: [],
+  });
+});
+
+// ─── Active window ───
+
+test('the window still open is active, with time left and a projection', () => {
+  const w = usageWindows([call(0), call(400), call(430)], { now: min(460) });
+  assert.equal(w.windows, 1, 'the active window is not in the history');
+  const a = w.active;
+  assert.equal(a.start, iso(400));
+  assert.equal(a.end, iso(700));
+  assert.equal(a.elapsedMs, 60 * 60000);
+  assert.equal(a.remainingMs, 240 * 60000);
+  assert.equal(a.total, 2000);
+  assert.equal(a.projectedTotal, 10000, 'the first hour\'s rate over all five');
+  assert.equal(a.projectedCost, 1);
+});
+
+test('a window is not projected before 30 minutes have passed', () => {
+  let a = usageWindows([call(0)], { now: min(0) }).active;
+  assert.equal(a.elapsedMs, 0);
+  assert.equal(a.projectedTotal, null);
+  assert.equal(a.projectedCost, null);
+  a = usageWindows([call(0)], { now: min(29) }).active;
+  assert.equal(a.projectedTotal, null);
+  a = usageWindows([call(0)], { now: min(30) }).active;
+  assert.equal(a.projectedTotal, 1000 * 10);
+});
+
+test('the heaviest closed window is the peak', () => {
+  const w = usageWindows([call(0), call(400), call(401), call(800), call(801), call(802)], { now: min(810) });
+  assert.equal(w.active.exchanges, 3);
+  assert.equal(w.peak.start, iso(400), 'the active window does not count');
+  assert.equal(w.peak.total, 2000);
+});
+
+test('the window length can be changed', () => {
+  const w = usageWindows([call(0), call(90)], { now: min(1000), windowMs: 3600000 });
+  assert.equal(w.windowHours, 1);
+  assert.equal(w.windows, 2);
+});